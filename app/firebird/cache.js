@@ -0,0 +1,184 @@
+(function () {
+    'use strict';
+
+    const Promise = require('bluebird');
+    const Log = require('../log');
+
+    /**
+     * LRU кэш prepared statements соединения, ключ - транзакция и текст запроса.
+     *
+     * Выданный из кэша statement используется монопольно до вызова drop(), который возвращает его в кэш
+     * (с закрытием курсора) вместо уничтожения. Если statement для запроса уже занят, создается обычный, некэшируемый.
+     * Statements уничтожаются при вытеснении из кэша и при завершении их транзакции.
+     */
+    class StatementCache {
+        /**
+         * @param {Number} size Максимальное количество statements в кэше
+         * @constructor
+         */
+        constructor(size) {
+            this.size = size;
+            /** @member {Map<String, Object>} Записи кэша в порядке использования (последняя - самая свежая) */
+            this.entries = new Map();
+            this.hits = 0;
+            this.misses = 0;
+            this.evictions = 0;
+        }
+
+        /**
+         * Получить statement из кэша или подготовить новый
+         *
+         * @param {Transaction}                   transaction  Транзакция
+         * @param {String}                        sql          Текст запроса
+         * @param {Function<Promise<PreparedStatement>>} prepare Подготовка statement
+         * @returns {Promise<PreparedStatement>}
+         */
+        get(transaction, sql, prepare) {
+            const key = transaction.id + ':' + sql;
+            let entry = this.entries.get(key);
+
+            if (entry && !entry.busy) {
+                this.hits++;
+                entry.busy = true;
+
+                // Перемещаем запись в конец очереди LRU
+                this.entries.delete(key);
+                this.entries.set(key, entry);
+                return entry.promise;
+            }
+
+            this.misses++;
+            if (entry) {
+                return prepare();
+            }
+
+            entry = {
+                key,
+                transaction,
+                busy: true,
+                evicted: false,
+                promise: null
+            };
+            entry.promise = Promise.resolve(prepare())
+                .then((statement) => {
+                    statement.cacheEntry = entry;
+                    statement.cache = this;
+                    return statement;
+                })
+                .catch((e) => {
+                    if (this.entries.get(key) === entry) {
+                        this.entries.delete(key);
+                    }
+                    throw e;
+                });
+
+            this.entries.set(key, entry);
+            this._evict();
+
+            return entry.promise;
+        }
+
+        /**
+         * Вернуть statement в кэш: курсор закрывается, statement становится доступен для повторного использования.
+         * Если statement был вытеснен, пока использовался, то он уничтожается.
+         *
+         * @param {PreparedStatement} statement Statement из кэша
+         * @returns {Promise}
+         */
+        release(statement) {
+            const entry = statement.cacheEntry;
+
+            if (entry.evicted) {
+                return this._drop(statement);
+            }
+
+            return (statement.cursorOpen ? statement.close() : Promise.resolve())
+                .finally(() => {
+                    entry.busy = false;
+                });
+        }
+
+        /**
+         * Уничтожить statements транзакции
+         *
+         * @param {Transaction} transaction Транзакция
+         * @returns {Promise}
+         */
+        invalidate(transaction) {
+            const entries = Array.from(this.entries.values()).filter((entry) => entry.transaction === transaction);
+            return Promise.each(entries, (entry) => this._remove(entry));
+        }
+
+        /**
+         * Уничтожить все statements
+         *
+         * @returns {Promise}
+         */
+        clear() {
+            return Promise.each(Array.from(this.entries.values()), (entry) => this._remove(entry));
+        }
+
+        /**
+         * Забыть все statements без уничтожения (после потери соединения они уже недействительны)
+         */
+        reset() {
+            this.entries.forEach((entry) => {
+                entry.evicted = true;
+            });
+            this.entries.clear();
+        }
+
+        /**
+         * Статистика кэша
+         *
+         * @returns {{size: Number, maxSize: Number, hits: Number, misses: Number, evictions: Number}}
+         */
+        getStats() {
+            return {
+                size: this.entries.size,
+                maxSize: this.size,
+                hits: this.hits,
+                misses: this.misses,
+                evictions: this.evictions
+            };
+        }
+
+        /**
+         * Вытеснить самые давно использованные записи сверх размера кэша
+         *
+         * @private
+         */
+        _evict() {
+            while (this.entries.size > this.size) {
+                this.evictions++;
+                this._remove(this.entries.values().next().value);
+            }
+        }
+
+        /**
+         * Удалить запись из кэша; свободный statement уничтожается сразу, занятый - при возврате
+         *
+         * @param {Object} entry Запись кэша
+         * @returns {Promise}
+         * @private
+         */
+        _remove(entry) {
+            this.entries.delete(entry.key);
+            entry.evicted = true;
+
+            if (entry.busy) {
+                return Promise.resolve();
+            }
+
+            return entry.promise.then((statement) => this._drop(statement), () => {});
+        }
+
+        _drop(statement) {
+            statement.cache = null;
+            return statement.drop()
+                .catch((e) => Log.warn('Ошибка при уничтожении prepared statement: %s', e.message));
+        }
+    }
+
+    module.exports = StatementCache;
+})();
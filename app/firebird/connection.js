@@ -1,11 +1,17 @@
 (function () {
     'use strict';
 
+    const EventEmitter = require('events');
     const Promise = require('bluebird');
     const FBDriver = require('node-firebird-dev');
     const Transaction = require('./transaction');
     const Metadata = require('./metadata');
     const Migration = require('./migration');
+    const Retry = require('./retry');
+    const Instrumentation = require('./instrumentation');
+    const StatementCache = require('./cache');
+    const Errors = require('./errors');
+    const Log = require('../log');
     const utils = require('./utils');
 
     /* Типы транзакций (взято из node-firebird) */
@@ -29,20 +35,75 @@
         /* isc_tpb_concurrency */ 2
     ];
 
+    // Восстановление соединения по умолчанию (задержки считаются как в retry.getDelay)
+    const DEFAULT_RECONNECT = {
+        attempts: 0,
+        delay: 1000,
+        maxDelay: 30000,
+        factor: 2,
+        jitter: 0.2
+    };
+
     /**
-     * Подключение к БД
+     * Подключение к БД.
+     * События:
+     *   query - выполнен запрос: {sql, params, durationMs, rows, transactionKind, error}
+     *   disconnect - потеряно соединение с сервером: ConnectionLost
+     *   reconnect - соединение восстановлено: {attempt, downtimeMs}
+     *   reconnectFailed - соединение не удалось восстановить за reconnect.attempts попыток: ошибка последней попытки
      */
-    class Connection {
+    class Connection extends EventEmitter {
         /**
-         * @param {String} url       Строка подключения к БД
-         * @param {String} user      Пользователь
-         * @param {String} password  Пароль
+         * @param {String} url                                    Строка подключения к БД
+         * @param {String} user                                   Пользователь
+         * @param {String} password                               Пароль
+         * @param {Object} [options]                              Настройки соединения
+         * @param {Object} [options.readTransaction]              Обновление читающей транзакции
+         * @param {Number} [options.readTransaction.maxAge]       Максимальное время жизни, мс (0 - без ограничения)
+         * @param {Number} [options.readTransaction.maxQueries]   Максимальное количество запросов (0 - без ограничения)
+         * @param {Number} [options.timeout]                      Время ожидания выполнения запросов по умолчанию, мс (0 - без ограничения)
+         * @param {Object} [options.slowQuery]                    Запись медленных запросов в лог (см. instrumentation.createSlowQueryLogger)
+         * @param {Object} [options.statementCache]               Кэш prepared statements (см. StatementCache)
+         * @param {Number} [options.statementCache.size]          Максимальное количество statements в кэше
+         * @param {Boolean|Object} [options.reconnect]            Восстановление соединения после потери связи с сервером
+         *                                                        (только для соединений вне пула): true - настройки по умолчанию
+         * @param {Number} [options.reconnect.attempts=0]         Максимальное количество попыток (0 - без ограничения)
+         * @param {Number} [options.reconnect.delay=1000]         Задержка перед первой попыткой, мс
+         * @param {Number} [options.reconnect.maxDelay=30000]     Максимальная задержка, мс
+         * @param {Number} [options.reconnect.factor=2]           Множитель задержки для каждой следующей попытки
+         * @param {Number} [options.reconnect.jitter=0.2]         Доля задержки, на которую она случайно уменьшается
          * @constructor
          */
-        constructor(url, user, password) {
+        constructor(url, user, password, options) {
+            super();
+            options = options || {};
+
             this.database = null;
             /** @member {Promise.<Transaction>} */
             this.readTransactionPromise = null;
+            /** @member {{startedAt: Number, queries: Number, active: Number, forced: Boolean}} Состояние текущей читающей транзакции */
+            this.readTransactionState = null;
+            /** @member {Number} Количество обновлений читающей транзакции */
+            this.readTransactionRefreshes = 0;
+            this.readTransactionOptions = Object.assign({
+                maxAge: 0,
+                maxQueries: 0
+            }, options.readTransaction);
+            /** @member {Number} Время ожидания выполнения запросов по умолчанию, мс */
+            this.queryTimeout = options.timeout || 0;
+            /** @member {Error} Причина, по которой соединение считается сломанным */
+            this.brokenReason = null;
+            /** @member {StatementCache} Кэш prepared statements, если включен */
+            this.statementCache = options.statementCache && options.statementCache.size > 0 ?
+                new StatementCache(options.statementCache.size) : null;
+            /** @member {Object} Настройки восстановления соединения, null - не восстанавливать */
+            this.reconnectOptions = options.reconnect ?
+                Object.assign({}, DEFAULT_RECONNECT, options.reconnect === true ? {} : options.reconnect) : null;
+            this.reconnectTimer = null;
+            /** @member {Number} Время потери соединения, если оно еще не восстановлено */
+            this.disconnectedAt = null;
+            /** @member {Boolean} Соединение закрыто методом close (восстанавливать не нужно) */
+            this.closed = false;
 
             this.options = utils.parseUrl(url);
             this.options.user = user;
@@ -53,6 +114,10 @@
             this.metadata = new Metadata(this);
             /** @member {Migration} */
             this.migration = new Migration(this);
+
+            if (options.slowQuery) {
+                this.on('query', Instrumentation.createSlowQueryLogger(options.slowQuery));
+            }
         }
 
         /**
@@ -61,9 +126,10 @@
          * @promise {Connection}
          */
         create() {
+            this.closed = false;
             return Promise.promisify(FBDriver.create, {context: FBDriver})(this.options)
                 .then((db) => {
-                    this.database = db;
+                    this._setDatabase(db);
                     return this;
                 });
         }
@@ -74,13 +140,50 @@
          * @promise {Connection}
          */
         open() {
+            this.closed = false;
+            return this._attach();
+        }
+
+        /**
+         * Подключиться к БД
+         *
+         * @promise {Connection}
+         * @private
+         */
+        _attach() {
             return Promise.promisify(FBDriver.attach, {context: FBDriver})(this.options)
                 .then((db) => {
-                    this.database = db;
+                    this._setDatabase(db);
                     return this;
                 });
         }
 
+        /**
+         * Запомнить подключение драйвера и подписаться на его события.
+         * Собственное переподключение драйвера отключается: оно не восстанавливает состояние соединения.
+         *
+         * @param {Object} db Подключение драйвера
+         * @private
+         */
+        _setDatabase(db) {
+            this.database = db;
+            if (!db || typeof db.on !== 'function') {
+                return;
+            }
+
+            db.maxtryreconnect = 0;
+
+            // Ошибка сокета: за ней последует закрытие сокета и событие destroy
+            db.on('error', (e) => {
+                db.lastError = e;
+            });
+            db.on('destroy', () => {
+                if (this.database === db) {
+                    this.markDisconnected(Errors.wrap(db.lastError || new Error('Connection is closed.')));
+                }
+            });
+        }
+
         /**
          * Проверить активно ли соединение с БД
          *
@@ -90,14 +193,124 @@
             return this.database != null;
         }
 
+        /**
+         * Пометить соединение как сломанное: пул уничтожит его вместо повторного использования
+         *
+         * @param {Error} reason Причина
+         */
+        markBroken(reason) {
+            if (!this.brokenReason) {
+                this.brokenReason = reason || new Error('Соединение с БД сломано');
+            }
+        }
+
+        /**
+         * Сломано ли соединение (например, после превышения времени выполнения запроса)
+         *
+         * @returns {boolean}
+         */
+        isBroken() {
+            return this.brokenReason != null;
+        }
+
+        /**
+         * Обработать потерю соединения с сервером: соединение помечается сломанным, подключение драйвера и
+         * читающая транзакция сбрасываются, генерируется событие disconnect. Если включено восстановление соединения,
+         * то запускаются попытки переподключения.
+         *
+         * @param {Error} error Ошибка, по которой обнаружена потеря соединения
+         */
+        markDisconnected(error) {
+            if (!this.database) {
+                return;
+            }
+
+            error = error instanceof Errors.ConnectionLost ? error : new Errors.ConnectionLost(error);
+
+            this.database = null;
+            this.disconnectedAt = Date.now();
+            this.markBroken(error);
+            this.readTransactionPromise = null;
+            this.readTransactionState = null;
+            if (this.statementCache) {
+                this.statementCache.reset();
+            }
+
+            Log.warn('Потеряно соединение с БД: %s', error.message);
+            this.emit('disconnect', error);
+
+            if (this.reconnectOptions && !this.closed) {
+                this._scheduleReconnect(1);
+            }
+        }
+
+        /**
+         * Запланировать попытку переподключения
+         *
+         * @param {Number} attempt Номер попытки, начиная с 1
+         * @private
+         */
+        _scheduleReconnect(attempt) {
+            const options = this.reconnectOptions;
+            const delay = Retry.getDelay(options, attempt);
+
+            this.reconnectTimer = setTimeout(() => {
+                this.reconnectTimer = null;
+
+                this._attach()
+                    .then(() => {
+                        // Соединение закрыли, пока шло подключение
+                        if (this.closed) {
+                            return this.close();
+                        }
+
+                        const downtimeMs = Date.now() - this.disconnectedAt;
+                        this.brokenReason = null;
+                        this.disconnectedAt = null;
+
+                        Log.info('Соединение с БД восстановлено (попытка %d, недоступно %d мс)', attempt, downtimeMs);
+                        this.emit('reconnect', {attempt, downtimeMs});
+                    })
+                    .catch((e) => {
+                        if (this.closed) {
+                            return;
+                        }
+
+                        if (options.attempts > 0 && attempt >= options.attempts) {
+                            Log.error('Не удалось восстановить соединение с БД за %d попыток: %s', attempt, e.message);
+                            this.emit('reconnectFailed', e);
+                            return;
+                        }
+
+                        Log.warn('Ошибка восстановления соединения с БД (попытка %d): %s', attempt, e.message);
+                        this._scheduleReconnect(attempt + 1);
+                    });
+            }, delay);
+
+            // Ожидание переподключения не должно удерживать процесс
+            if (this.reconnectTimer.unref) {
+                this.reconnectTimer.unref();
+            }
+        }
+
         /**
          * Закрыть соединение с БД
          *
          * @returns Promise
          */
         close() {
+            this.closed = true;
+            if (this.reconnectTimer) {
+                clearTimeout(this.reconnectTimer);
+                this.reconnectTimer = null;
+            }
+
             return new Promise((resolve, reject) => {
                 if (!this.isConnected()) {
+                    // Потерянное соединение закрывать уже не нужно
+                    if (this.disconnectedAt) {
+                        return resolve();
+                    }
                     return reject(new Error('Соединение с БД не установлено'));
                 }
 
@@ -124,30 +337,137 @@
         }
 
         /**
-         * Получить читающую транзакцию
+         * Уничтожить соединение без обмена с сервером: сокет драйвера закрывается сразу.
+         * Используется для сломанных соединений, где detach ждал бы завершения зависшего запроса;
+         * ожидающие ответа запросы завершаются ошибкой потери соединения, подключение к БД освобождает сервер.
+         */
+        destroy() {
+            this.closed = true;
+            if (this.reconnectTimer) {
+                clearTimeout(this.reconnectTimer);
+                this.reconnectTimer = null;
+            }
+
+            const db = this.database;
+            this.database = null;
+            this.readTransactionPromise = null;
+            this.readTransactionState = null;
+            if (this.statementCache) {
+                this.statementCache.reset();
+            }
+
+            const socket = db && db.connection && db.connection._socket;
+            if (socket) {
+                socket.destroy();
+            }
+        }
+
+        /**
+         * Получить читающую транзакцию.
+         * Транзакция общая для всех читающих запросов соединения. Чтобы она не удерживала сборку мусора в БД,
+         * она коммитится и открывается заново по истечении readTransaction.maxAge или после readTransaction.maxQueries запросов,
+         * когда на ней не выполняется ни одного запроса. Prepared statements, созданные на старой транзакции, становятся недействительными.
          *
          * @returns Promise.<Transaction>
          */
         getReadTransaction() {
-            // Если еще не обращались к читающей транзакции, то создадим Promise который будет содержать в себе читающую транзакцию
+            if (this.readTransactionPromise && this.readTransactionState.active === 0 && this._isReadTransactionExpired()) {
+                this._rotateReadTransaction();
+            }
+
+            // Если еще не обращались к читающей транзакции, то откроем ее и запомним в этом соединении
             if (!this.readTransactionPromise) {
-                this.readTransactionPromise = new Promise((resolve, reject) => {
-                    if (!this.isConnected()) {
-                        return reject(new Error('Соединение с БД не установлено'));
-                    }
+                this.readTransactionPromise = this._startTransaction(ISOLATION_READ, 'read');
+                this.readTransactionState = createReadTransactionState();
+            }
 
-                    // Откроем читающую транзакцию и запомним ее в этом соединении
-                    this.database.transaction(ISOLATION_READ, (err, innerTransaction) => {
-                        if (err) {
-                            return reject(err);
-                        }
+            return this.readTransactionPromise;
+        }
 
-                        resolve(new Transaction(this, innerTransaction));
-                    });
-                });
+        /**
+         * Принудительно обновить читающую транзакцию.
+         * Если на ней выполняются запросы, то транзакция будет обновлена при первом обращении после их завершения.
+         *
+         * @promise {Boolean} true - транзакция обновлена сразу
+         */
+        refreshReadTransaction() {
+            if (!this.readTransactionPromise) {
+                return Promise.resolve(false);
             }
 
-            return this.readTransactionPromise;
+            if (this.readTransactionState.active > 0) {
+                this.readTransactionState.forced = true;
+                return Promise.resolve(false);
+            }
+
+            this._rotateReadTransaction();
+            return this.readTransactionPromise.then(() => true);
+        }
+
+        /**
+         * Статистика читающей транзакции
+         *
+         * @returns {{age: Number, queries: Number, active: Number, refreshes: Number}} age - время жизни текущей транзакции, мс
+         *                                                                              (null, если транзакция не открыта)
+         */
+        getReadTransactionStats() {
+            const state = this.readTransactionState;
+            return {
+                age: this.readTransactionPromise ? Date.now() - state.startedAt : null,
+                queries: state ? state.queries : 0,
+                active: state ? state.active : 0,
+                refreshes: this.readTransactionRefreshes
+            };
+        }
+
+        /**
+         * Истек ли срок жизни читающей транзакции
+         *
+         * @returns {boolean}
+         * @private
+         */
+        _isReadTransactionExpired() {
+            const state = this.readTransactionState;
+            const options = this.readTransactionOptions;
+
+            return state.forced ||
+                (options.maxAge > 0 && Date.now() - state.startedAt >= options.maxAge) ||
+                (options.maxQueries > 0 && state.queries >= options.maxQueries);
+        }
+
+        /**
+         * Закоммитить текущую читающую транзакцию и открыть новую
+         *
+         * @private
+         */
+        _rotateReadTransaction() {
+            const previous = this.readTransactionPromise;
+
+            this.readTransactionRefreshes++;
+            this.readTransactionState = createReadTransactionState();
+            this.readTransactionPromise = previous
+                .then((transaction) => transaction.commit())
+                .catch((e) => Log.warn('Ошибка при закрытии читающей транзакции: %s', e.message))
+                .then(() => this._startTransaction(ISOLATION_READ, 'read'));
+        }
+
+        /**
+         * Отметить использование текущей читающей транзакции: пока она используется, она не будет обновлена
+         *
+         * @returns {Function} Завершение использования
+         * @private
+         */
+        _holdReadTransaction() {
+            const state = this.readTransactionState;
+            if (!state) {
+                return () => {};
+            }
+
+            state.active++;
+            state.queries++;
+            return () => {
+                state.active--;
+            };
         }
 
         /**
@@ -156,20 +476,7 @@
          * @returns Promise.<Transaction>
          */
         getWriteTransaction() {
-            return new Promise((resolve, reject) => {
-                if (!this.isConnected()) {
-                    return reject(new Error('Соединение с БД не установлено'));
-                }
-
-                // Откроем пишущую транзакцию
-                this.database.transaction(ISOLATION_WRITE, (err, fbTransaction) => {
-                    if (err) {
-                        return reject(err);
-                    }
-
-                    resolve(new Transaction(this, fbTransaction));
-                });
-            });
+            return this._startTransaction(ISOLATION_WRITE, 'write');
         }
 
         /**
@@ -178,18 +485,47 @@
          * @returns Promise.<Transaction>
          */
         getSnapshotTransaction() {
+            return this._startTransaction(ISOLATION_SNAPSHOT, 'snapshot');
+        }
+
+        /**
+         * Начать транзакцию с указанными параметрами
+         *
+         * @param {Object}               [options]                          Настройки транзакции
+         * @param {String}               [options.isolation=readCommitted]  Уровень изоляции: readCommitted, readCommittedNoRecVersion,
+         *                                                                  snapshot, snapshotTableStability
+         * @param {Boolean}              [options.readOnly]                 Только чтение
+         * @param {Boolean}              [options.wait]                     Ожидать освобождения блокировок (по умолчанию nowait)
+         * @param {Number}               [options.lockTimeout]              Время ожидания блокировки, секунд (включает wait)
+         * @param {Boolean}              [options.noAutoUndo]               isc_tpb_no_auto_undo
+         * @param {Array<String|Object>} [options.reserve]                  Резервирование таблиц (см. utils.buildTpb)
+         * @returns Promise.<Transaction>
+         */
+        beginTransaction(options) {
+            return Promise.try(() => utils.buildTpb(options))
+                .then((tpb) => this._startTransaction(tpb, options && options.readOnly ? 'read' : 'custom'));
+        }
+
+        /**
+         * Открыть транзакцию с указанными параметрами (TPB)
+         *
+         * @param {Array<Number>} tpb   Параметры транзакции
+         * @param {String}        kind  Вид транзакции: read, write, snapshot, custom
+         * @returns Promise.<Transaction>
+         * @private
+         */
+        _startTransaction(tpb, kind) {
             return new Promise((resolve, reject) => {
                 if (!this.isConnected()) {
-                    return reject(new Error('Соединение с БД не установлено'));
+                    return reject(this.disconnectedAt ? this.brokenReason : new Error('Соединение с БД не установлено'));
                 }
 
-                // Откроем пишущую SNAPSHOT транзакцию
-                this.database.transaction(ISOLATION_SNAPSHOT, (err, fbTransaction) => {
+                this.database.transaction(tpb, (err, fbTransaction) => {
                     if (err) {
-                        return reject(err);
+                        return reject(utils.handleError(this, err));
                     }
 
-                    resolve(new Transaction(this, fbTransaction));
+                    resolve(new Transaction(this, fbTransaction, kind));
                 });
             });
         }
@@ -199,40 +535,63 @@
          *
          * @param transaction {Transaction}  Транзакция
          * @param sql         {String}       Текст запроса
-         * @param [params]    {Array}        Массив параметров запроса
+         * @param [params]    {Array|Object} Массив параметров запроса, или объект со значениями именованных параметров (:name)
+         * @param [options]   {Object}       Настройки запроса: {timeout} - время ожидания выполнения, мс
          * @returns Promise.<Array>
          */
-        query(transaction, sql, params) {
-            return transaction.query(sql, params);
+        query(transaction, sql, params, options) {
+            return transaction.query(sql, params, options);
         }
 
         /**
          * Выполнить запрос на читающей транзакции
          *
          * @param sql      {String}  Текст запроса
-         * @param [params] {Array}   Массив параметров запроса
+         * @param [params] {Array|Object}   Массив параметров запроса, или объект со значениями именованных параметров (:name)
+         * @param [options] {Object}        Настройки запроса: {timeout} - время ожидания выполнения, мс
          * @returns Promise.<Array>
          */
-        queryRead(sql, params) {
+        queryRead(sql, params, options) {
             // Берем читающую транзакцию
-            return this.getReadTransaction()
+            const transactionPromise = this.getReadTransaction();
+            const release = this._holdReadTransaction();
+
             // Выполняем запрос
-                .then((transaction) => transaction.query(sql, params));
+            return transactionPromise
+                .then((transaction) => transaction.query(sql, params, options))
+                .finally(release);
+        }
+
+        /**
+         * Выполнить действия на читающей транзакции: пока они выполняются, транзакция не будет обновлена.
+         * Нужно, например, для чтения BLOB полей из результата запроса - BLOB читается на транзакции запроса.
+         *
+         * @param {Function<Promise>} action Действия: (transaction) => Promise
+         * @returns {Promise.<T>}
+         */
+        onReadTransaction(action) {
+            const transactionPromise = this.getReadTransaction();
+            const release = this._holdReadTransaction();
+
+            return transactionPromise
+                .then((transaction) => action(transaction))
+                .finally(release);
         }
 
         /**
          * Выполнить запрос на пишущей транзакции и сразу закомитить ее
          *
          * @param sql      {String}  Текст запроса
-         * @param [params] {Array}   Массив параметров запроса
+         * @param [params] {Array|Object}   Массив параметров запроса, или объект со значениями именованных параметров (:name)
+         * @param [options] {Object}        Настройки запроса: {timeout} - время ожидания выполнения, мс
          * @returns Promise.<Array>
          */
-        queryWrite(sql, params) {
+        queryWrite(sql, params, options) {
             // Берем новую пищущую транзакцию
             return this.getWriteTransaction()
                 .then((transaction) => {
                     // Выполняем запрос
-                    return transaction.query(sql, params)
+                    return transaction.query(sql, params, options)
 
                         // Закомитим транзакцию, потом вернем результат запроса
                         .then((result) => {
@@ -254,15 +613,16 @@
          * Выполнить запрос на SNAPSHOT транзакции и сразу закомитить ее
          *
          * @param sql      {String}  Текст запроса
-         * @param [params] {Array}   Массив параметров запроса
+         * @param [params] {Array|Object}   Массив параметров запроса, или объект со значениями именованных параметров (:name)
+         * @param [options] {Object}        Настройки запроса: {timeout} - время ожидания выполнения, мс
          * @returns Promise.<Array>
          */
-        querySnapshot(sql, params) {
+        querySnapshot(sql, params, options) {
             // Берем новую пищущую транзакцию
             return this.getSnapshotTransaction()
                 .then((transaction) => {
                     // Выполняем запрос
-                    return transaction.query(sql, params)
+                    return transaction.query(sql, params, options)
 
                     // Закомитим транзакцию, потом вернем результат запроса
                         .then((result) => {
@@ -282,47 +642,73 @@
 
         /**
          * Выполнить пишущие действия на основном соединении
-         * @param {Function<Promise>} action Действия
+         * @param {Function<Promise>} action             Действия: (transaction, attempt) => Promise
+         * @param {Object}            [options]          Настройки
+         * @param {Boolean}           [options.dryRun]   Всегда откатывать транзакцию вместо коммита
+         * @param {Boolean|Object}    [options.retry]    Повтор при конфликте блокировок (см. retry.createPolicy):
+         *                                               транзакция откатывается и действия выполняются заново
          * @returns {Promise.<T>}
          */
-        onWriteTransaction(action) {
-            return this.getWriteTransaction()
-                .then((transaction) => {
+        onWriteTransaction(action, options) {
+            options = options || {};
 
-                    // Выполним полезную работу
-                    return action(transaction)
+            return Retry.run(Retry.createPolicy(options.retry), (attempt) => {
+                return this._onTransaction(this.getWriteTransaction(), action, attempt, options.dryRun);
+            });
+        }
 
-                        // Коммит и возврат результата
-                        .then((actionResult) => {
-                            return transaction.commit()
-                                .then(() => actionResult);
-                        })
+        /**
+         * Выполнить действия на SNAPSHOT транзакции на основном соединении
+         * @param {Function<Promise>} action             Действия: (transaction, attempt) => Promise
+         * @param {Object}            [options]          Настройки
+         * @param {Boolean|Object}    [options.retry]    Повтор при конфликте блокировок (см. retry.createPolicy)
+         * @returns {Promise.<T>}
+         */
+        onSnapshotTransaction(action, options) {
+            options = options || {};
 
-                        // Роллбэк и проброс ошибки
-                        .catch((e) => {
-                            return transaction.rollback()
-                                .finally(() => {
-                                    throw e;
-                                });
-                        });
-                });
+            return Retry.run(Retry.createPolicy(options.retry), (attempt) => {
+                return this._onTransaction(this.getSnapshotTransaction(), action, attempt, false);
+            });
         }
 
         /**
-         * Выполнить действия на SNAPSHOT транзакции на основном соединении
-         * @param {Function<Promise>} action Действия
+         * Выполнить действия на транзакции с указанными параметрами
+         * @param {Object}            options            Настройки транзакции (см. beginTransaction), а также:
+         * @param {Boolean}           [options.dryRun]   Всегда откатывать транзакцию вместо коммита
+         * @param {Boolean|Object}    [options.retry]    Повтор при конфликте блокировок (см. retry.createPolicy)
+         * @param {Function<Promise>} action             Действия: (transaction, attempt) => Promise
          * @returns {Promise.<T>}
          */
-        onSnapshotTransaction(action) {
-            return this.getSnapshotTransaction()
+        onTransaction(options, action) {
+            options = options || {};
+
+            return Retry.run(Retry.createPolicy(options.retry), (attempt) => {
+                return this._onTransaction(this.beginTransaction(options), action, attempt, options.dryRun);
+            });
+        }
+
+        /**
+         * Выполнить действия на транзакции: коммит при успехе, откат при ошибке
+         *
+         * @param {Promise<Transaction>} transactionPromise  Транзакция
+         * @param {Function<Promise>}    action              Действия
+         * @param {Number}               attempt             Номер попытки
+         * @param {Boolean}              dryRun              Откатить транзакцию вместо коммита
+         * @returns {Promise.<T>}
+         * @private
+         */
+        _onTransaction(transactionPromise, action, attempt, dryRun) {
+            return transactionPromise
                 .then((transaction) => {
 
                     // Выполним полезную работу
-                    return action(transaction)
+                    return Promise.try(() => action(transaction, attempt))
 
-                    // Коммит и возврат результата
+                        // Коммит (или откат в режиме dryRun) и возврат результата
                         .then((actionResult) => {
-                            return transaction.commit()
+                            const finish = dryRun ? transaction.rollback() : transaction.commit();
+                            return finish
                                 .then(() => actionResult);
                         })
 
@@ -337,28 +723,113 @@
         }
 
         /**
-         * Создание prepared statement
+         * Создание prepared statement.
+         * Если включен кэш, то statement берется из него и после использования должен быть возвращен вызовом drop().
          *
          * @param transactionWrapper Транзакция
          * @param sql         Текст запроса
          * @returns Promise<PreparedStatement>
          */
         prepareStatement(transactionWrapper, sql) {
+            if (this.statementCache) {
+                return this.statementCache.get(transactionWrapper, sql, () => transactionWrapper.prepareStatement(sql));
+            }
+
             return transactionWrapper.prepareStatement(sql);
         }
 
         /**
-         * Создание prepared statement на читающей транзакции
+         * Статистика кэша prepared statements
+         *
+         * @returns {{size: Number, maxSize: Number, hits: Number, misses: Number, evictions: Number}|null} null, если кэш выключен
+         */
+        getStatementCacheStats() {
+            return this.statementCache ? this.statementCache.getStats() : null;
+        }
+
+        /**
+         * Создание prepared statement на читающей транзакции.
+         * Читающая транзакция не обновляется, пока statement не уничтожен (drop).
          *
          * @param sql Текст запроса
          * @returns Promise<PreparedStatement>
          */
         prepareReadStatement(sql) {
             // Берем читающую транзакцию
-            return this.getReadTransaction()
-                .then((tr) => this.prepareStatement(tr, sql));
+            const transactionPromise = this.getReadTransaction();
+            const release = this._holdReadTransaction();
+
+            return transactionPromise
+                .then((tr) => this.prepareStatement(tr, sql))
+                .then((statement) => {
+                    statement.onDrop = release;
+                    return statement;
+                }, (e) => {
+                    release();
+                    throw e;
+                });
+        }
+
+        /**
+         * Обработать результат запроса на читающей транзакции порциями.
+         * Запрос выполняется один раз, очередная порция забирается с сервера после обработки предыдущей.
+         *
+         * @param {String}            sql        Текст запроса
+         * @param {Array|Object}      params     Массив параметров запроса, или объект со значениями именованных параметров
+         * @param {Number}            batchSize  Количество строк в порции
+         * @param {Function<Promise>} handler    Обработчик порции (rows, batchIndex); вернув false, прекращает обработку
+         * @promise {{rows: Number, batches: Number, aborted: Boolean}} Количество обработанных строк и порций
+         */
+        forEachBatch(sql, params, batchSize, handler) {
+            const stats = {
+                rows: 0,
+                batches: 0,
+                aborted: false
+            };
+
+            // Читающая транзакция не обновляется, пока statement не уничтожен
+            return this.prepareReadStatement(sql)
+                .then((statement) => {
+                    const next = () => {
+                        return statement.fetch(batchSize)
+                            .then((result) => {
+                                if (result.rows.length === 0) {
+                                    return;
+                                }
+
+                                return Promise.resolve(handler(result.rows, stats.batches))
+                                    .then((handlerResult) => {
+                                        stats.rows += result.rows.length;
+                                        stats.batches++;
+
+                                        if (handlerResult === false) {
+                                            stats.aborted = true;
+                                            return;
+                                        }
+                                        if (!result.fetched) {
+                                            return next();
+                                        }
+                                    });
+                            });
+                    };
+
+                    return statement.open(params)
+                        .then(() => next()
+                            .finally(() => statement.close()))
+                        .finally(() => statement.drop());
+                })
+                .then(() => stats);
         }
     }
 
+    function createReadTransactionState() {
+        return {
+            startedAt: Date.now(),
+            queries: 0,
+            active: 0,
+            forced: false
+        };
+    }
+
     module.exports = Connection;
 })();
\ No newline at end of file
@@ -0,0 +1,387 @@
+(function () {
+    'use strict';
+
+    const Promise = require('bluebird');
+    const _ = require('lodash');
+
+    module.exports = {
+        createSnapshot,
+        schemaDiff,
+        compareSnapshots
+    };
+
+    /**
+     * Снимок схемы БД на основе Metadata, пригодный для сохранения в JSON
+     *
+     * @param {Connection} connection Соединение
+     * @promise {{tables: Array, procedures: Array, triggers: Array, generators: Array}}
+     */
+    function createSnapshot(connection) {
+        const metadata = connection.metadata;
+
+        return metadata.getTables()
+            .then((tables) => Promise.mapSeries(tables, (table) => {
+                // Индексы ограничений описываются самими ограничениями
+                return Promise.props({
+                    name: table.name,
+                    columns: metadata.getColumns(table.name),
+                    indices: metadata.getIndices(table.name)
+                        .then((indices) => indices.filter((index) => !index.constraintType)),
+                    primaryKey: metadata.getPrimaryKey(table.name),
+                    uniqueConstraints: metadata.getUniqueConstraints(table.name),
+                    checkConstraints: metadata.getCheckConstraints(table.name),
+                    foreignKeys: metadata.getForeignKeys(table.name)
+                });
+            }))
+            .then((tables) => Promise.props({
+                tables,
+                procedures: metadata.getProcedures(),
+                triggers: metadata.getTriggers(),
+                generators: metadata.getGenerators()
+                    .then((generators) => generators.map((generator) => ({name: generator.name})))
+            }));
+    }
+
+    /**
+     * Сравнить схему БД B с эталонной схемой A.
+     * added - объекты, которые есть только в B, removed - объекты, которых нет в B,
+     * changed - различающиеся объекты ({name, reference, actual}, где reference - описание из A, actual - из B).
+     *
+     * @param {Connection|Object} a                 Эталонная БД или ее снимок (createSnapshot)
+     * @param {Connection|Object} b                 Сравниваемая БД или ее снимок
+     * @param {Object}            [options]         Настройки
+     * @param {Boolean}           [options.ddl]     Сформировать DDL для приведения B к A (поле ddl отчета)
+     * @promise {Object} Отчет о различиях
+     */
+    function schemaDiff(a, b, options) {
+        return Promise.all([toSnapshot(a), toSnapshot(b)])
+            .then((snapshots) => compareSnapshots(snapshots[0], snapshots[1], options));
+    }
+
+    /**
+     * Сравнить снимки схем (см. schemaDiff)
+     *
+     * @param {Object}  reference         Снимок эталонной схемы
+     * @param {Object}  actual            Снимок сравниваемой схемы
+     * @param {Object}  [options]         Настройки
+     * @param {Boolean} [options.ddl]     Сформировать DDL для приведения actual к reference
+     * @returns {Object} Отчет о различиях
+     */
+    function compareSnapshots(reference, actual, options) {
+        options = options || {};
+
+        const report = {
+            tables: diffObjects(reference.tables, actual.tables, compareTables),
+            procedures: diffObjects(reference.procedures, actual.procedures, (ref, act) => {
+                return isSameSignature(ref.inputs, act.inputs) && isSameSignature(ref.outputs, act.outputs) &&
+                    normalizeSource(ref.source) === normalizeSource(act.source) ? null : {};
+            }),
+            triggers: diffObjects(reference.triggers, actual.triggers, (ref, act) => {
+                return ref.table === act.table && ref.event === act.event && ref.position === act.position &&
+                    ref.active === act.active && normalizeSource(ref.source) === normalizeSource(act.source) ? null : {};
+            }),
+            generators: diffObjects(reference.generators, actual.generators, () => null)
+        };
+
+        if (options.ddl) {
+            report.ddl = generateDdl(report, actual);
+        }
+
+        return report;
+    }
+
+    function toSnapshot(source) {
+        if (source && source.metadata) {
+            return createSnapshot(source);
+        }
+        return Promise.resolve(source);
+    }
+
+    /**
+     * Сравнение двух списков объектов по имени
+     *
+     * @param {Array}    referenceList  Эталонные объекты
+     * @param {Array}    actualList     Сравниваемые объекты
+     * @param {Function} compare        (reference, actual) => null, если объекты совпадают, иначе подробности отличий
+     * @returns {{added: Array, removed: Array, changed: Array}}
+     * @private
+     */
+    function diffObjects(referenceList, actualList, compare) {
+        const referenceByName = _.keyBy(referenceList || [], 'name');
+        const actualByName = _.keyBy(actualList || [], 'name');
+
+        const result = {
+            added: (actualList || []).filter((object) => !referenceByName[object.name]),
+            removed: (referenceList || []).filter((object) => !actualByName[object.name]),
+            changed: []
+        };
+
+        (referenceList || []).forEach((reference) => {
+            const actual = actualByName[reference.name];
+            if (!actual) {
+                return;
+            }
+
+            const details = compare(reference, actual);
+            if (details) {
+                result.changed.push(Object.assign({name: reference.name, reference, actual}, details));
+            }
+        });
+
+        return result;
+    }
+
+    function compareTables(reference, actual) {
+        const details = {
+            columns: diffObjects(reference.columns, actual.columns, (ref, act) => {
+                return columnType(ref) === columnType(act) && ref.nullable === act.nullable &&
+                    (ref.default || null) === (act.default || null) ? null : {};
+            }),
+            indices: diffObjects(reference.indices, actual.indices, (ref, act) => {
+                return _.isEqual(ref.columns, act.columns) && ref.unique === act.unique &&
+                    ref.descending === act.descending && ref.active === act.active ? null : {};
+            }),
+            primaryKey: null,
+            uniqueConstraints: diffObjects(reference.uniqueConstraints, actual.uniqueConstraints, (ref, act) => {
+                return _.isEqual(ref.columns, act.columns) ? null : {};
+            }),
+            checkConstraints: diffObjects(reference.checkConstraints, actual.checkConstraints, (ref, act) => {
+                return normalizeSource(ref.source) === normalizeSource(act.source) ? null : {};
+            }),
+            foreignKeys: diffObjects(reference.foreignKeys, actual.foreignKeys, (ref, act) => {
+                return _.isEqual(ref.columns, act.columns) && ref.refTable === act.refTable &&
+                    _.isEqual(ref.refColumns, act.refColumns) && ref.onUpdate === act.onUpdate &&
+                    ref.onDelete === act.onDelete ? null : {};
+            })
+        };
+
+        const referenceKey = reference.primaryKey ? reference.primaryKey.columns : null;
+        const actualKey = actual.primaryKey ? actual.primaryKey.columns : null;
+        if (!_.isEqual(referenceKey, actualKey)) {
+            details.primaryKey = {reference: reference.primaryKey, actual: actual.primaryKey};
+        }
+
+        const hasChanges = details.primaryKey ||
+            ['columns', 'indices', 'uniqueConstraints', 'checkConstraints', 'foreignKeys'].some((kind) => !isEmptyDiff(details[kind]));
+
+        return hasChanges ? details : null;
+    }
+
+    function isEmptyDiff(diff) {
+        return !diff.added.length && !diff.removed.length && !diff.changed.length;
+    }
+
+    function isSameSignature(referenceParams, actualParams) {
+        const signature = (params) => (params || []).map((param) => param.name + ' ' + columnType(param));
+        return _.isEqual(signature(referenceParams), signature(actualParams));
+    }
+
+    function columnType(column) {
+        return column.domain || column.type;
+    }
+
+    function normalizeSource(source) {
+        return (source || '').replace(/\s+/g, ' ').trim();
+    }
+
+    /**
+     * DDL для приведения сравниваемой схемы к эталонной
+     *
+     * @param {Object} report  Отчет о различиях
+     * @param {Object} actual  Снимок сравниваемой схемы
+     * @returns {Array<String>} Запросы в порядке выполнения
+     * @private
+     */
+    function generateDdl(report, actual) {
+        const drops = [];
+        const creates = [];
+        const foreignKeys = [];
+        // Удаляемые внешние ключи: 'таблица.ключ'
+        const droppedForeignKeys = new Set();
+        const addedTables = _.map(report.tables.added, 'name');
+
+        // Перед удалением первичного ключа или ограничения уникальности удаляем ссылающиеся на него внешние ключи
+        // (в том числе неизменных таблиц); ключи, которые не удаляются и не изменяются, затем создаем заново
+        const dropReferencingKeys = (tableName, columns) => {
+            (actual.tables || []).forEach((other) => {
+                (other.foreignKeys || []).forEach((key) => {
+                    const id = other.name + '.' + key.name;
+                    if (key.refTable !== tableName || !_.isEqual(key.refColumns, columns) || droppedForeignKeys.has(id)) {
+                        return;
+                    }
+
+                    droppedForeignKeys.add(id);
+                    drops.push(`ALTER TABLE ${quote(other.name)} DROP CONSTRAINT ${quote(key.name)}`);
+                    if (addedTables.indexOf(other.name) < 0) {
+                        foreignKeys.push(foreignKeyDdl(other.name, key));
+                    }
+                });
+            });
+        };
+
+        // Внешние ключи лишних и измененных таблиц удаляем в первую очередь, добавляем в последнюю
+        report.tables.changed.forEach((table) => {
+            table.foreignKeys.added.concat(_.map(table.foreignKeys.changed, 'actual')).forEach((key) => {
+                droppedForeignKeys.add(table.name + '.' + key.name);
+                drops.push(`ALTER TABLE ${quote(table.name)} DROP CONSTRAINT ${quote(key.name)}`);
+            });
+            table.foreignKeys.removed.concat(_.map(table.foreignKeys.changed, 'reference')).forEach((key) => {
+                foreignKeys.push(foreignKeyDdl(table.name, key));
+            });
+        });
+        report.tables.removed.forEach((table) => {
+            table.foreignKeys.forEach((key) => foreignKeys.push(foreignKeyDdl(table.name, key)));
+        });
+
+        report.triggers.added.forEach((trigger) => drops.push(`DROP TRIGGER ${quote(trigger.name)}`));
+        report.procedures.added.forEach((procedure) => drops.push(`DROP PROCEDURE ${quote(procedure.name)}`));
+
+        report.tables.changed.forEach((table) => {
+            table.indices.added.concat(_.map(table.indices.changed, 'actual')).forEach((index) => {
+                drops.push(`DROP INDEX ${quote(index.name)}`);
+            });
+            if (table.primaryKey && table.primaryKey.actual) {
+                dropReferencingKeys(table.name, table.primaryKey.actual.columns);
+                drops.push(`ALTER TABLE ${quote(table.name)} DROP CONSTRAINT ${quote(table.primaryKey.actual.name)}`);
+            }
+            table.uniqueConstraints.added.concat(_.map(table.uniqueConstraints.changed, 'actual')).forEach((constraint) => {
+                dropReferencingKeys(table.name, constraint.columns);
+                drops.push(`ALTER TABLE ${quote(table.name)} DROP CONSTRAINT ${quote(constraint.name)}`);
+            });
+            table.checkConstraints.added.concat(_.map(table.checkConstraints.changed, 'actual')).forEach((constraint) => {
+                drops.push(`ALTER TABLE ${quote(table.name)} DROP CONSTRAINT ${quote(constraint.name)}`);
+            });
+        });
+        report.tables.added.forEach((table) => drops.push(`DROP TABLE ${quote(table.name)}`));
+
+        report.generators.removed.forEach((generator) => creates.push(`CREATE GENERATOR ${quote(generator.name)}`));
+
+        report.tables.removed.forEach((table) => {
+            const definitions = table.columns.map((column) => quote(column.name) + ' ' + columnDefinition(column));
+            if (table.primaryKey) {
+                definitions.push(primaryKeyDefinition(table.primaryKey));
+            }
+            (table.uniqueConstraints || []).forEach((constraint) => definitions.push(uniqueDefinition(constraint)));
+            (table.checkConstraints || []).forEach((constraint) => definitions.push(checkDefinition(constraint)));
+            creates.push(`CREATE TABLE ${quote(table.name)} (\n  ${definitions.join(',\n  ')}\n)`);
+            table.indices.forEach((index) => creates.push(indexDdl(table.name, index)));
+        });
+
+        report.tables.changed.forEach((table) => {
+            table.columns.added.forEach((column) => {
+                drops.push(`ALTER TABLE ${quote(table.name)} DROP ${quote(column.name)}`);
+            });
+            table.columns.removed.forEach((column) => {
+                creates.push(`ALTER TABLE ${quote(table.name)} ADD ${quote(column.name)} ${columnDefinition(column)}`);
+            });
+            table.columns.changed.forEach((change) => {
+                const prefix = `ALTER TABLE ${quote(table.name)} ALTER ${quote(change.name)}`;
+                const reference = change.reference;
+                const actual = change.actual;
+
+                if (columnType(reference) !== columnType(actual)) {
+                    creates.push(`${prefix} TYPE ${columnType(reference)}`);
+                }
+                if ((reference.default || null) !== (actual.default || null)) {
+                    creates.push(reference.default ? `${prefix} SET DEFAULT ${reference.default}` : `${prefix} DROP DEFAULT`);
+                }
+                if (reference.nullable !== actual.nullable) {
+                    creates.push(`${prefix} ${reference.nullable ? 'DROP' : 'SET'} NOT NULL`);
+                }
+            });
+
+            if (table.primaryKey && table.primaryKey.reference) {
+                creates.push(`ALTER TABLE ${quote(table.name)} ADD ${primaryKeyDefinition(table.primaryKey.reference)}`);
+            }
+            table.uniqueConstraints.removed.concat(_.map(table.uniqueConstraints.changed, 'reference')).forEach((constraint) => {
+                creates.push(`ALTER TABLE ${quote(table.name)} ADD ${uniqueDefinition(constraint)}`);
+            });
+            table.checkConstraints.removed.concat(_.map(table.checkConstraints.changed, 'reference')).forEach((constraint) => {
+                creates.push(`ALTER TABLE ${quote(table.name)} ADD ${checkDefinition(constraint)}`);
+            });
+            table.indices.removed.concat(_.map(table.indices.changed, 'reference')).forEach((index) => {
+                creates.push(indexDdl(table.name, index));
+            });
+        });
+
+        const procedures = report.procedures.removed.concat(_.map(report.procedures.changed, 'reference'))
+            .map(procedureDdl);
+        const triggers = report.triggers.removed.concat(_.map(report.triggers.changed, 'reference'))
+            .map(triggerDdl);
+        const generatorDrops = report.generators.added.map((generator) => `DROP GENERATOR ${quote(generator.name)}`);
+
+        return drops.concat(creates, foreignKeys, procedures, triggers, generatorDrops);
+    }
+
+    function columnDefinition(column) {
+        let result = columnType(column);
+        if (column.default) {
+            result += ' DEFAULT ' + column.default;
+        }
+        if (!column.nullable) {
+            result += ' NOT NULL';
+        }
+        return result;
+    }
+
+    function primaryKeyDefinition(primaryKey) {
+        return `CONSTRAINT ${quote(primaryKey.name)} PRIMARY KEY (${primaryKey.columns.map(quote).join(', ')})`;
+    }
+
+    function uniqueDefinition(constraint) {
+        return `CONSTRAINT ${quote(constraint.name)} UNIQUE (${constraint.columns.map(quote).join(', ')})`;
+    }
+
+    // Текст CHECK ограничения хранится вместе с CHECK
+    function checkDefinition(constraint) {
+        const source = (constraint.source || '').trim();
+        return `CONSTRAINT ${quote(constraint.name)} ` + (/^CHECK\b/i.test(source) ? source : `CHECK (${source})`);
+    }
+
+    function indexDdl(tableName, index) {
+        const modifiers = (index.unique ? 'UNIQUE ' : '') + (index.descending ? 'DESCENDING ' : '');
+        return `CREATE ${modifiers}INDEX ${quote(index.name)} ON ${quote(tableName)} (${index.columns.map(quote).join(', ')})`;
+    }
+
+    function foreignKeyDdl(tableName, key) {
+        let sql = `ALTER TABLE ${quote(tableName)} ADD CONSTRAINT ${quote(key.name)} ` +
+            `FOREIGN KEY (${key.columns.map(quote).join(', ')}) REFERENCES ${quote(key.refTable)} (${key.refColumns.map(quote).join(', ')})`;
+        if (key.onUpdate && key.onUpdate !== 'RESTRICT') {
+            sql += ` ON UPDATE ${key.onUpdate}`;
+        }
+        if (key.onDelete && key.onDelete !== 'RESTRICT') {
+            sql += ` ON DELETE ${key.onDelete}`;
+        }
+        return sql;
+    }
+
+    function procedureDdl(procedure) {
+        const params = (list) => list.map((param) => quote(param.name) + ' ' + columnType(param)).join(', ');
+
+        let sql = `CREATE OR ALTER PROCEDURE ${quote(procedure.name)}`;
+        if (procedure.inputs.length > 0) {
+            sql += ` (${params(procedure.inputs)})`;
+        }
+        if (procedure.outputs.length > 0) {
+            sql += `\nRETURNS (${params(procedure.outputs)})`;
+        }
+        return sql + '\n' + withAs(procedure.source);
+    }
+
+    function triggerDdl(trigger) {
+        const target = trigger.table ? ` FOR ${quote(trigger.table)}` : '';
+        const state = trigger.active ? 'ACTIVE' : 'INACTIVE';
+        return `CREATE OR ALTER TRIGGER ${quote(trigger.name)}${target} ${state} ${trigger.event} POSITION ${trigger.position}\n` +
+            withAs(trigger.source);
+    }
+
+    // Исходный код процедур хранится без AS, триггеров - вместе с AS
+    function withAs(source) {
+        source = (source || '').trim();
+        return /^AS\b/i.test(source) ? source : 'AS\n' + source;
+    }
+
+    function quote(name) {
+        return /^[A-Z][A-Z0-9_$]*$/.test(name) ? name : '"' + String(name).replace(/"/g, '""') + '"';
+    }
+})();
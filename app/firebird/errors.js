@@ -0,0 +1,310 @@
+(function () {
+    'use strict';
+
+    const Err = require('../utils/err');
+
+    // GDS коды ошибок Firebird
+    const GDS = {
+        noDup: 335544349,
+        notValid: 335544347,
+        deadlock: 335544336,
+        lockConflict: 335544345,
+        updateConflict: 335544451,
+        foreignKey: 335544466,
+        lockTimeout: 335544510,
+        except: 335544517,
+        checkConstraint: 335544558,
+        uniqueKeyViolation: 335544665
+    };
+
+    // GDS коды ошибок потери соединения с сервером
+    const CONNECTION_LOST_CODES = [
+        /* isc_net_connect_err */ 335544721,
+        /* isc_net_read_err */ 335544726,
+        /* isc_net_write_err */ 335544727,
+        /* isc_lost_db_connection */ 335544741,
+        /* isc_conn_lost */ 335544648,
+        /* isc_att_shutdown */ 335544856
+    ];
+
+    // Сетевые ошибки Node.js (ошибки закрытого сокета драйвер сообщает текстом "Connection is closed.")
+    const NETWORK_ERROR_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ECONNABORTED', 'EPIPE', 'ETIMEDOUT', 'EHOSTUNREACH'];
+
+    /**
+     * Превышено время выполнения запроса.
+     * Соединение, на котором выполнялся запрос, помечается как сломанное и не возвращается в пул.
+     */
+    class QueryTimeoutError extends Error {
+        /**
+         * @param {String} sql      Текст запроса
+         * @param {Number} timeout  Время ожидания, мс
+         * @constructor
+         */
+        constructor(sql, timeout) {
+            super(`Превышено время выполнения запроса (${timeout} мс)`);
+            this.name = 'QueryTimeoutError';
+            this.sql = sql;
+            this.timeout = timeout;
+        }
+    }
+
+    /**
+     * Ошибка Firebird, распознанная по GDS коду.
+     * Сообщение и код берутся из ошибки драйвера, исходная ошибка доступна в cause.
+     */
+    class FirebirdError extends Error {
+        /**
+         * @param {Error}  error                 Ошибка драйвера
+         * @param {String} [sql]                 Текст запроса
+         * @param {Object} [details]             Разобранные из сообщения данные
+         * @param {String} [details.constraint]  Имя ограничения (индекса)
+         * @param {String} [details.table]       Имя таблицы
+         * @constructor
+         */
+        constructor(error, sql, details) {
+            super(error.message);
+            details = details || {};
+
+            this.name = this.constructor.name;
+            /** @member {Number|String} GDS код ошибки (или код сетевой ошибки Node.js) */
+            this.code = error.code;
+            this.sql = sql || null;
+            this.constraint = details.constraint || null;
+            this.table = details.table || null;
+            this.cause = error;
+        }
+
+        /**
+         * Ошибка для ответа клиенту (см. HttpUtils.respondError)
+         *
+         * @returns {Error}
+         */
+        toHttpError() {
+            return new Err.ServerError(this.message);
+        }
+    }
+
+    /**
+     * Нарушение первичного или уникального ключа
+     */
+    class UniqueViolation extends FirebirdError {
+        toHttpError() {
+            return new Err.ConflictError(`Запись с такими значениями уже существует (${this.constraint})`);
+        }
+    }
+
+    /**
+     * Нарушение внешнего ключа: ссылка на отсутствующую запись или удаление записи, на которую есть ссылки
+     */
+    class ForeignKeyViolation extends FirebirdError {
+        toHttpError() {
+            return new Err.ConflictError(`Нарушена ссылочная целостность (${this.constraint})`);
+        }
+    }
+
+    /**
+     * Нарушение CHECK ограничения или проверки столбца (NOT NULL, домен)
+     */
+    class CheckConstraintViolation extends FirebirdError {
+        /**
+         * @param {Error}  error                 Ошибка драйвера
+         * @param {String} [sql]                 Текст запроса
+         * @param {Object} [details]             Разобранные из сообщения данные, дополнительно column - имя столбца
+         * @constructor
+         */
+        constructor(error, sql, details) {
+            super(error, sql, details);
+            this.column = details && details.column || null;
+        }
+
+        toHttpError() {
+            return new Err.UnprocessableEntityError(this.column ?
+                `Недопустимое значение поля ${this.column}` :
+                `Нарушено ограничение ${this.constraint}`);
+        }
+    }
+
+    /**
+     * Запись изменена параллельной транзакцией
+     */
+    class UpdateConflict extends FirebirdError {
+        toHttpError() {
+            return new Err.ConflictError('Запись изменена другим пользователем, повторите операцию');
+        }
+    }
+
+    /**
+     * Взаимная блокировка транзакций
+     */
+    class Deadlock extends FirebirdError {
+        toHttpError() {
+            return new Err.ConflictError('Взаимная блокировка транзакций, повторите операцию');
+        }
+    }
+
+    /**
+     * Не удалось получить блокировку: истекло время ожидания или транзакция без ожидания (nowait)
+     */
+    class LockTimeout extends FirebirdError {
+        toHttpError() {
+            return new Err.ServiceUnavailableError('Данные заблокированы другой транзакцией, повторите операцию позже');
+        }
+    }
+
+    /**
+     * Пользовательское исключение, вызванное оператором EXCEPTION в процедуре или триггере
+     */
+    class UserException extends FirebirdError {
+        /**
+         * @param {Error}  error                       Ошибка драйвера
+         * @param {String} [sql]                       Текст запроса
+         * @param {Object} [details]                   Разобранные из сообщения данные
+         * @param {String} [details.exceptionName]     Имя исключения
+         * @param {String} [details.exceptionMessage]  Текст исключения
+         * @constructor
+         */
+        constructor(error, sql, details) {
+            super(error, sql, details);
+            this.exceptionName = details && details.exceptionName || null;
+            this.exceptionMessage = details && details.exceptionMessage || null;
+        }
+
+        toHttpError() {
+            return new Err.UnprocessableEntityError(this.exceptionMessage || this.exceptionName);
+        }
+    }
+
+    /**
+     * Потеряно соединение с сервером БД
+     */
+    class ConnectionLost extends FirebirdError {
+        toHttpError() {
+            return new Err.ServiceUnavailableError('Нет соединения с сервером БД');
+        }
+    }
+
+    module.exports = {
+        QueryTimeoutError,
+        FirebirdError,
+        UniqueViolation,
+        ForeignKeyViolation,
+        CheckConstraintViolation,
+        UpdateConflict,
+        Deadlock,
+        LockTimeout,
+        UserException,
+        ConnectionLost,
+
+        wrap
+    };
+
+    /**
+     * Преобразовать ошибку драйвера в типизированную ошибку Firebird.
+     * Нераспознанные ошибки и ошибки, уже преобразованные ранее, возвращаются как есть.
+     *
+     * @param {Error}  error  Ошибка драйвера
+     * @param {String} [sql]  Текст запроса
+     * @returns {Error}
+     */
+    function wrap(error, sql) {
+        if (!error || error instanceof FirebirdError || error instanceof QueryTimeoutError) {
+            return error;
+        }
+
+        const message = error.message || '';
+        const code = error.code;
+
+        if (CONNECTION_LOST_CODES.indexOf(code) >= 0 || NETWORK_ERROR_CODES.indexOf(code) >= 0 ||
+            /^(Event )?Connection is closed/.test(message)) {
+            return new ConnectionLost(error, sql);
+        }
+
+        // При конфликте обновления первым идет код deadlock (wait) или lock conflict (nowait)
+        if (code === GDS.updateConflict || /update conflicts with concurrent update/i.test(message)) {
+            return new UpdateConflict(error, sql);
+        }
+
+        switch (code) {
+            case GDS.deadlock:
+                return new Deadlock(error, sql);
+
+            case GDS.lockConflict:
+            case GDS.lockTimeout:
+                return new LockTimeout(error, sql);
+
+            case GDS.uniqueKeyViolation:
+            case GDS.noDup:
+                return new UniqueViolation(error, sql, parseConstraint(message));
+
+            case GDS.foreignKey:
+                return new ForeignKeyViolation(error, sql, parseConstraint(message));
+
+            case GDS.checkConstraint:
+                return new CheckConstraintViolation(error, sql, parseConstraint(message));
+
+            case GDS.notValid:
+                return new CheckConstraintViolation(error, sql, parseColumn(message));
+
+            case GDS.except:
+                return new UserException(error, sql, parseException(message));
+
+            default:
+                return error;
+        }
+    }
+
+    /**
+     * Имена ограничения и таблицы из сообщения, например:
+     * violation of FOREIGN KEY constraint "FK_ORDERS_CLIENT" on table "ORDERS"
+     * Operation violates CHECK constraint CHK_AMOUNT on view or table ORDERS
+     * attempt to store duplicate value (visible to active transactions) in unique index "UQ_CLIENTS_CODE"
+     */
+    function parseConstraint(message) {
+        const constraint = /(?:constraint|index) ("[^"]+"|[^\s,]+)/i.exec(message);
+        const table = /on (?:view or )?table ("[^"]+"|[^\s,]+)/i.exec(message);
+
+        return {
+            constraint: constraint ? unquote(constraint[1]) : null,
+            table: table ? unquote(table[1]) : null
+        };
+    }
+
+    /**
+     * Имена таблицы и столбца из сообщения, например:
+     * validation error for column "ORDERS"."AMOUNT", value "*** null ***"
+     */
+    function parseColumn(message) {
+        const match = /validation error for column (.+?), value/i.exec(message);
+        if (!match) {
+            return {};
+        }
+
+        const parts = match[1].split('.').map(unquote);
+        return {
+            table: parts.length > 1 ? parts[0] : null,
+            column: parts[parts.length - 1]
+        };
+    }
+
+    /**
+     * Имя и текст исключения из сообщения; строки сообщения драйвер соединяет через запятую:
+     * exception 5, E_NO_MONEY, Недостаточно средств, At procedure 'PAY' line: 10, col: 5
+     */
+    function parseException(message) {
+        const match = /^exception \d+, ("[^"]+"|[^\s,]+)(?:, ([\s\S]*?))?(?:, At (?:procedure|trigger|block)\b[\s\S]*)?$/i
+            .exec(message);
+        if (!match) {
+            return {};
+        }
+
+        return {
+            exceptionName: unquote(match[1]),
+            exceptionMessage: match[2] || null
+        };
+    }
+
+    function unquote(name) {
+        name = name.trim();
+        return name.charAt(0) === '"' ? name.slice(1, -1).replace(/""/g, '"') : name;
+    }
+})();
@@ -2,17 +2,43 @@
     'use strict';
 
     const Promise = require('bluebird');
-    const GenericPool = require('generic-pool');
     const FBDriver = require('node-firebird-dev');
     const Connection = require('./connection');
+    const Pool = require('./pool');
+    const Repository = require('./repository');
+    const diff = require('./diff');
+    const Errors = require('./errors');
+    const Instrumentation = require('./instrumentation');
+    const Metrics = require('./metrics');
     const utils = require('./utils');
+    const Log = require('../log');
 
     module.exports = {
         createPool,
         createConnection,
+        Repository,
 
         parseUrl: utils.parseUrl,
-        escape: FBDriver.escape
+        escape: FBDriver.escape,
+
+        createSnapshot: diff.createSnapshot,
+        schemaDiff: diff.schemaDiff,
+        compareSnapshots: diff.compareSnapshots,
+
+        createSlowQueryLogger: Instrumentation.createSlowQueryLogger,
+        createHealthHandler: Metrics.createHealthHandler,
+        createMetricsHandler: Metrics.createMetricsHandler,
+
+        QueryTimeoutError: Errors.QueryTimeoutError,
+        FirebirdError: Errors.FirebirdError,
+        UniqueViolation: Errors.UniqueViolation,
+        ForeignKeyViolation: Errors.ForeignKeyViolation,
+        CheckConstraintViolation: Errors.CheckConstraintViolation,
+        UpdateConflict: Errors.UpdateConflict,
+        Deadlock: Errors.Deadlock,
+        LockTimeout: Errors.LockTimeout,
+        UserException: Errors.UserException,
+        ConnectionLost: Errors.ConnectionLost
     };
 
     /**
@@ -21,23 +47,34 @@
      * @param {String} url            Строка подключения к БД
      * @param {String} user           Пользователь
      * @param {String} password       Пароль
-     * @param {Number} options        Настройки пула, аналогичны настройкам generic-pool
+     * @param {Number} options        Настройки пула, аналогичны настройкам generic-pool,
+     *                                а также leakDetectionThreshold (см. Pool)
+     * @param {Object} [connectionOptions] Настройки соединений (см. Connection)
      * @returns {Pool}
      */
-    function createPool(url, user, password, options) {
+    function createPool(url, user, password, options, connectionOptions) {
         options = options || {};
 
         const factory = {
             create() {
                 return Promise.try(() => {
-                    const connection = createConnection(url, user, password);
+                    // Соединения пула не восстанавливаются сами: сломанное соединение пул заменяет новым
+                    const connection = createConnection(url, user, password,
+                        Object.assign({}, connectionOptions, {reconnect: false}));
                     return connection.open();
                 });
             },
             destroy(connection) {
-                return connection.close();
+                // Сломанное соединение может быть занято зависшим запросом: detach ждал бы его,
+                // поэтому сокет закрывается сразу
+                return Promise.try(() => connection.isBroken() ? connection.destroy() : connection.close())
+                    .catch((e) => Log.warn('Ошибка закрытия соединения с БД: %s', e.message));
             },
             validate(connection) {
+                if (connection.isBroken()) {
+                    return Promise.resolve(false);
+                }
+
                 return connection.queryRead('SELECT 1 AS val FROM rdb$database')
                     .then((rows) => Boolean(rows && rows.length === 1 && rows[0].val === 1))
                     .catch(() => false);
@@ -54,7 +91,7 @@
             idleTimeoutMillis: 5 * 60 * 1000
         }, options);
 
-        return GenericPool.createPool(factory, opts);
+        return new Pool(factory, opts);
     }
 
     /**
@@ -63,9 +100,10 @@
      * @param url       Путь к БД
      * @param user      Пользователь
      * @param password  Пароль
+     * @param [options] Настройки соединения (см. Connection)
      * @returns {Connection}
      */
-    function createConnection(url, user, password) {
-        return new Connection(url, user, password);
+    function createConnection(url, user, password, options) {
+        return new Connection(url, user, password, options);
     }
 })();
\ No newline at end of file
@@ -0,0 +1,111 @@
+(function () {
+    'use strict';
+
+    const Log = require('../log');
+
+    // Замена значения скрытого параметра
+    const REDACTED = '***';
+
+    module.exports = {
+        instrument,
+        createSlowQueryLogger,
+        redactParams
+    };
+
+    /**
+     * Замерить выполнение запроса и сообщить о нем событием 'query' соединения:
+     * {sql, params, durationMs, rows, transactionKind, error}
+     *
+     * @param {Transaction} transaction  Транзакция
+     * @param {String}      sql          Текст запроса
+     * @param {Array}       params       Параметры запроса
+     * @param {Promise}     execution    Выполнение запроса
+     * @returns {Promise} Результат выполнения запроса
+     */
+    function instrument(transaction, sql, params, execution) {
+        const connection = transaction.connection;
+        if (!connection || !connection.emit || connection.listenerCount('query') === 0) {
+            return execution;
+        }
+
+        const startedAt = process.hrtime();
+        const emit = (rows, error) => {
+            const duration = process.hrtime(startedAt);
+            const event = {
+                sql,
+                params: params || [],
+                durationMs: duration[0] * 1e3 + duration[1] / 1e6,
+                rows,
+                transactionKind: transaction.kind,
+                error: error || null
+            };
+
+            try {
+                connection.emit('query', event);
+            } catch (e) {
+                Log.error('Ошибка в обработчике события query: \n', e);
+            }
+        };
+
+        return execution
+            .then((result) => {
+                emit(countRows(result));
+                return result;
+            })
+            .catch((e) => {
+                emit(0, e);
+                throw e;
+            });
+    }
+
+    /**
+     * Создать обработчик события 'query', записывающий в лог медленные запросы
+     *
+     * @param {Object}           [options]                 Настройки
+     * @param {Number}           [options.threshold=1000]  Порог времени выполнения, мс
+     * @param {Boolean|Function} [options.redact=true]     Скрытие параметров: true - скрыть все, false - писать как есть,
+     *                                                     функция (params, sql) => params - свое правило
+     * @returns {Function}
+     */
+    function createSlowQueryLogger(options) {
+        options = Object.assign({
+            threshold: 1000,
+            redact: true
+        }, options);
+
+        return (event) => {
+            if (event.durationMs < options.threshold) {
+                return;
+            }
+
+            Log.warn('Медленный запрос (%d мс, транзакция %s, строк %d%s): %s; параметры: %j',
+                Math.round(event.durationMs), event.transactionKind || '-', event.rows,
+                event.error ? ', ошибка: ' + event.error.message : '',
+                event.sql.trim(), redactParams(event.params, event.sql, options.redact));
+        };
+    }
+
+    /**
+     * Скрыть значения параметров запроса
+     *
+     * @param {Array}            params  Параметры запроса
+     * @param {String}           sql     Текст запроса
+     * @param {Boolean|Function} rule    true - скрыть все, false - оставить как есть, функция (params, sql) => params
+     * @returns {Array}
+     */
+    function redactParams(params, sql, rule) {
+        if (typeof rule === 'function') {
+            return rule(params, sql);
+        }
+
+        return rule === false ? params : params.map((value) => value == null ? value : REDACTED);
+    }
+
+    function countRows(result) {
+        if (Array.isArray(result)) {
+            return result.length;
+        }
+
+        return result ? 1 : 0;
+    }
+})();
@@ -2,7 +2,20 @@
     'use strict';
 
     const Promise = require('bluebird');
+    const _ = require('lodash');
     const Utils = require('./utils');
+    const QueryBuilder = require('../utils/queryBuilder');
+
+    // Поля rdb$fields (alias f), необходимые для описания типа
+    const FIELD_COLUMNS = `
+                    f.rdb$field_type AS fieldtype, 
+                    f.rdb$field_sub_type AS fieldsubtype, 
+                    COALESCE(f.rdb$character_length, f.rdb$field_length) AS fieldlength, 
+                    f.rdb$field_precision AS fieldprecision, 
+                    f.rdb$field_scale AS fieldscale`;
+
+    // Число генераторов, значения которых читаются одним запросом (ограничение длины текста запроса)
+    const GENERATORS_PER_QUERY = 500;
 
     /**
      * Методы для работы с метаданными
@@ -12,7 +25,7 @@
             this.connection = connection;
         }
 
-        generatorExists(generatorName) {
+        generatorExists(generatorName, transaction) {
             if (!generatorName) {
                 return Promise.resolve(false);
             }
@@ -20,11 +33,10 @@
             const sql = `
                 SELECT rdb$generator_name FROM rdb$generators WHERE rdb$generator_name = ?
             `;
-            return this.connection.queryRead(sql, [generatorName.toUpperCase()])
-                .then((result) => result && result.length > 0);
+            return this._exists(sql, [storedName(generatorName)], transaction);
         }
 
-        domainExists(domainName) {
+        domainExists(domainName, transaction) {
             if (!domainName) {
                 return Promise.resolve(false);
             }
@@ -32,11 +44,10 @@
             const sql = `
                 SELECT rdb$field_name FROM rdb$fields WHERE rdb$field_name = ?
             `;
-            return this.connection.queryRead(sql, [domainName.toUpperCase()])
-                .then((result) => result && result.length > 0);
+            return this._exists(sql, [storedName(domainName)], transaction);
         }
 
-        tableExists(tableName) {
+        tableExists(tableName, transaction) {
             if (!tableName) {
                 return Promise.resolve(false);
             }
@@ -44,11 +55,10 @@
             const sql = `
                 SELECT rdb$relation_name FROM rdb$relations WHERE rdb$relation_name = ?
             `;
-            return this.connection.queryRead(sql, [tableName.toUpperCase()])
-                .then((result) => result && result.length > 0);
+            return this._exists(sql, [storedName(tableName)], transaction);
         }
 
-        fieldExists(tableName, fieldName) {
+        fieldExists(tableName, fieldName, transaction) {
             if (!tableName || !fieldName) {
                 return Promise.resolve(false);
             }
@@ -56,11 +66,10 @@
             const sql = `
                 SELECT rdb$relation_name FROM rdb$relation_fields WHERE rdb$relation_name = ? AND rdb$field_name = ?
             `;
-            return this.connection.queryRead(sql, [tableName.toUpperCase(), fieldName.toUpperCase()])
-                .then((result) => result && result.length > 0);
+            return this._exists(sql, [storedName(tableName), storedName(fieldName)], transaction);
         }
 
-        indexExists(indexName) {
+        indexExists(indexName, transaction) {
             if (!indexName) {
                 return Promise.resolve(false);
             }
@@ -68,11 +77,10 @@
             const sql = `
                 SELECT rdb$index_name FROM rdb$indices WHERE rdb$index_name = ?
             `;
-            return this.connection.queryRead(sql, [indexName.toUpperCase()])
-                .then((result) => result && result.length > 0);
+            return this._exists(sql, [storedName(indexName)], transaction);
         }
 
-        procedureExists(procedureName) {
+        procedureExists(procedureName, transaction) {
             if (!procedureName) {
                 return Promise.resolve(false);
             }
@@ -80,11 +88,10 @@
             const sql = `
                 SELECT rdb$procedure_name FROM rdb$procedures WHERE rdb$procedure_name = ?
             `;
-            return this.connection.queryRead(sql, [procedureName.toUpperCase()])
-                .then((result) => result && result.length > 0);
+            return this._exists(sql, [storedName(procedureName)], transaction);
         }
 
-        triggerExists(triggerName) {
+        triggerExists(triggerName, transaction) {
             if (!triggerName) {
                 return Promise.resolve(false);
             }
@@ -92,11 +99,10 @@
             const sql = `
                 SELECT rdb$trigger_name FROM rdb$triggers WHERE rdb$trigger_name = ?
             `;
-            return this.connection.queryRead(sql, [triggerName.toUpperCase()])
-                .then((result) => result && result.length > 0);
+            return this._exists(sql, [storedName(triggerName)], transaction);
         }
 
-        exceptionExists(exceptionName) {
+        exceptionExists(exceptionName, transaction) {
             if (!exceptionName) {
                 return Promise.resolve(false);
             }
@@ -104,11 +110,10 @@
             const sql = `
                 SELECT rdb$exception_name FROM rdb$exceptions WHERE rdb$exception_name = ?
             `;
-            return this.connection.queryRead(sql, [exceptionName.toUpperCase()])
-                .then((result) => result && result.length > 0);
+            return this._exists(sql, [storedName(exceptionName)], transaction);
         }
 
-        primaryKeyExists(tableName, primaryKeyName) {
+        primaryKeyExists(tableName, primaryKeyName, transaction) {
 			if (!tableName || !primaryKeyName) {
 				return Promise.resolve(false);
 			}
@@ -121,11 +126,10 @@
                 	AND rdb$relation_name = ? 
                 	AND rdb$constraint_name = ?
             `;
-			return this.connection.queryRead(sql, [tableName.toUpperCase(), primaryKeyName.toUpperCase()])
-				.then((result) => result && result.length > 0);
+			return this._exists(sql, [storedName(tableName), storedName(primaryKeyName)], transaction);
 		}
 
-		foreignKeyExists(tableName, foreignKeyName) {
+		foreignKeyExists(tableName, foreignKeyName, transaction) {
 			if (!tableName || !foreignKeyName) {
 				return Promise.resolve(false);
 			}
@@ -138,10 +142,28 @@
                 	AND rdb$relation_name = ? 
                 	AND rdb$constraint_name = ?
             `;
-			return this.connection.queryRead(sql, [tableName.toUpperCase(), foreignKeyName.toUpperCase()])
-				.then((result) => result && result.length > 0);
+			return this._exists(sql, [storedName(tableName), storedName(foreignKeyName)], transaction);
 		}
 
+        /**
+         * Проверить существование объекта запросом к системным таблицам.
+         * Без транзакции запрос выполняется на читающей транзакции соединения; с транзакцией - на ней
+         * (видны объекты, созданные ранее в этой транзакции), в журнал запросов транзакции он не попадает.
+         *
+         * @param {String}      sql            Запрос
+         * @param {Array}       params         Параметры запроса
+         * @param {Transaction} [transaction]  Транзакция
+         * @promise {Boolean}
+         * @private
+         */
+        _exists(sql, params, transaction) {
+            const query = transaction ?
+                transaction.query(sql, params, {record: false}) :
+                this.connection.queryRead(sql, params);
+
+            return query.then((result) => result && result.length > 0);
+        }
+
         getServerVersion() {
             const sql = `
                 SELECT COALESCE(rdb$get_context('SYSTEM', 'ENGINE_VERSION'), '') AS version FROM rdb$database
@@ -152,6 +174,449 @@
                     return Utils.parseServerVersion(versionStr);
                 });
         }
+
+        /**
+         * Список пользовательских таблиц (без представлений)
+         *
+         * @promise {Array<{name: String}>}
+         */
+        getTables() {
+            const sql = `
+                SELECT TRIM(rdb$relation_name) AS name 
+                FROM rdb$relations 
+                WHERE 
+                    COALESCE(rdb$system_flag, 0) = 0 
+                    AND rdb$view_blr IS NULL 
+                ORDER BY rdb$relation_name
+            `;
+            return this.connection.queryRead(sql, [])
+                .then((result) => (result || []).map((row) => ({name: row.name})));
+        }
+
+        /**
+         * Поля таблицы в порядке следования
+         *
+         * @param {String} tableName Имя таблицы
+         * @promise {Array<{name: String, position: Number, type: String, baseType: String, length: Number, precision: Number,
+         *      scale: Number, nullable: Boolean, default: String, domain: String}>}
+         *      type - полный тип с размерностью, например VARCHAR(255); default - SQL-выражение без DEFAULT;
+         *      domain - пользовательский домен или null
+         */
+        getColumns(tableName) {
+            if (!tableName) {
+                return Promise.resolve([]);
+            }
+
+            const sql = `
+                SELECT 
+                    TRIM(rf.rdb$field_name) AS name, 
+                    rf.rdb$field_position AS position, 
+                    TRIM(rf.rdb$field_source) AS domain, 
+                    COALESCE(rf.rdb$null_flag, f.rdb$null_flag, 0) AS nullflag, 
+                    COALESCE(rf.rdb$default_source, f.rdb$default_source) AS defaultsource, 
+                    ${FIELD_COLUMNS} 
+                FROM rdb$relation_fields rf 
+                JOIN rdb$fields f ON f.rdb$field_name = rf.rdb$field_source 
+                WHERE rf.rdb$relation_name = ? 
+                ORDER BY rf.rdb$field_position
+            `;
+            // BLOB поля читаются на транзакции запроса - она не должна обновиться до их чтения
+            return this.connection.onReadTransaction((tr) => tr.query(sql, [tableName.toUpperCase()])
+                .then((result) => Promise.mapSeries(result || [], (row) => {
+                    return Utils.readBlob(row.defaultsource)
+                        .then((defaultSource) => Object.assign({
+                            name: row.name,
+                            position: row.position
+                        }, mapField(row), {
+                            nullable: !row.nullflag,
+                            default: parseDefault(defaultSource),
+                            domain: isSystemName(row.domain) ? null : row.domain
+                        }));
+                })));
+        }
+
+        /**
+         * Индексы таблицы, включая индексы ограничений
+         *
+         * @param {String} tableName Имя таблицы
+         * @promise {Array<{name: String, columns: Array<String>, unique: Boolean, descending: Boolean, active: Boolean,
+         *      constraintType: String}>} constraintType - тип ограничения, которому принадлежит индекс, или null
+         */
+        getIndices(tableName) {
+            if (!tableName) {
+                return Promise.resolve([]);
+            }
+
+            const sql = `
+                SELECT 
+                    TRIM(i.rdb$index_name) AS name, 
+                    COALESCE(i.rdb$unique_flag, 0) AS uniqueflag, 
+                    COALESCE(i.rdb$index_type, 0) AS indextype, 
+                    COALESCE(i.rdb$index_inactive, 0) AS inactive, 
+                    TRIM(rc.rdb$constraint_type) AS constrainttype, 
+                    TRIM(s.rdb$field_name) AS fieldname 
+                FROM rdb$indices i 
+                LEFT JOIN rdb$index_segments s ON s.rdb$index_name = i.rdb$index_name 
+                LEFT JOIN rdb$relation_constraints rc ON rc.rdb$index_name = i.rdb$index_name 
+                WHERE i.rdb$relation_name = ? 
+                ORDER BY i.rdb$index_name, s.rdb$field_position
+            `;
+            return this.connection.queryRead(sql, [tableName.toUpperCase()])
+                .then((result) => groupRows(result, (row) => ({
+                    name: row.name,
+                    columns: [],
+                    unique: Boolean(row.uniqueflag),
+                    descending: row.indextype === 1,
+                    active: !row.inactive,
+                    constraintType: row.constrainttype || null
+                }), (index, row) => {
+                    if (row.fieldname) {
+                        index.columns.push(row.fieldname);
+                    }
+                }));
+        }
+
+        /**
+         * Первичный ключ таблицы
+         *
+         * @param {String} tableName Имя таблицы
+         * @promise {{name: String, index: String, columns: Array<String>}|null}
+         */
+        getPrimaryKey(tableName) {
+            if (!tableName) {
+                return Promise.resolve(null);
+            }
+
+            const sql = `
+                SELECT 
+                    TRIM(rc.rdb$constraint_name) AS name, 
+                    TRIM(rc.rdb$index_name) AS indexname, 
+                    TRIM(s.rdb$field_name) AS fieldname 
+                FROM rdb$relation_constraints rc 
+                JOIN rdb$index_segments s ON s.rdb$index_name = rc.rdb$index_name 
+                WHERE 
+                    rc.rdb$constraint_type = 'PRIMARY KEY' 
+                    AND rc.rdb$relation_name = ? 
+                ORDER BY s.rdb$field_position
+            `;
+            return this.connection.queryRead(sql, [tableName.toUpperCase()])
+                .then((result) => {
+                    const keys = groupRows(result, (row) => ({
+                        name: row.name,
+                        index: row.indexname,
+                        columns: []
+                    }), (key, row) => key.columns.push(row.fieldname));
+
+                    return keys.length > 0 ? keys[0] : null;
+                });
+        }
+
+        /**
+         * Внешние ключи таблицы
+         *
+         * @param {String} tableName Имя таблицы
+         * @promise {Array<{name: String, columns: Array<String>, refTable: String, refColumns: Array<String>,
+         *      onUpdate: String, onDelete: String}>}
+         */
+        getForeignKeys(tableName) {
+            if (!tableName) {
+                return Promise.resolve([]);
+            }
+
+            const sql = `
+                SELECT 
+                    TRIM(rc.rdb$constraint_name) AS name, 
+                    TRIM(s.rdb$field_name) AS fieldname, 
+                    TRIM(rc2.rdb$relation_name) AS reftable, 
+                    TRIM(s2.rdb$field_name) AS reffieldname, 
+                    TRIM(refc.rdb$update_rule) AS updaterule, 
+                    TRIM(refc.rdb$delete_rule) AS deleterule 
+                FROM rdb$relation_constraints rc 
+                JOIN rdb$ref_constraints refc ON refc.rdb$constraint_name = rc.rdb$constraint_name 
+                JOIN rdb$relation_constraints rc2 ON rc2.rdb$constraint_name = refc.rdb$const_name_uq 
+                JOIN rdb$index_segments s ON s.rdb$index_name = rc.rdb$index_name 
+                JOIN rdb$index_segments s2 ON s2.rdb$index_name = rc2.rdb$index_name AND s2.rdb$field_position = s.rdb$field_position 
+                WHERE 
+                    rc.rdb$constraint_type = 'FOREIGN KEY' 
+                    AND rc.rdb$relation_name = ? 
+                ORDER BY rc.rdb$constraint_name, s.rdb$field_position
+            `;
+            return this.connection.queryRead(sql, [tableName.toUpperCase()])
+                .then((result) => groupRows(result, (row) => ({
+                    name: row.name,
+                    columns: [],
+                    refTable: row.reftable,
+                    refColumns: [],
+                    onUpdate: row.updaterule,
+                    onDelete: row.deleterule
+                }), (key, row) => {
+                    key.columns.push(row.fieldname);
+                    key.refColumns.push(row.reffieldname);
+                }));
+        }
+
+        /**
+         * Ограничения уникальности (UNIQUE) таблицы
+         *
+         * @param {String} tableName Имя таблицы
+         * @promise {Array<{name: String, index: String, columns: Array<String>}>}
+         */
+        getUniqueConstraints(tableName) {
+            if (!tableName) {
+                return Promise.resolve([]);
+            }
+
+            const sql = `
+                SELECT 
+                    TRIM(rc.rdb$constraint_name) AS name, 
+                    TRIM(rc.rdb$index_name) AS indexname, 
+                    TRIM(s.rdb$field_name) AS fieldname 
+                FROM rdb$relation_constraints rc 
+                JOIN rdb$index_segments s ON s.rdb$index_name = rc.rdb$index_name 
+                WHERE 
+                    rc.rdb$constraint_type = 'UNIQUE' 
+                    AND rc.rdb$relation_name = ? 
+                ORDER BY rc.rdb$constraint_name, s.rdb$field_position
+            `;
+            return this.connection.queryRead(sql, [tableName.toUpperCase()])
+                .then((result) => groupRows(result, (row) => ({
+                    name: row.name,
+                    index: row.indexname,
+                    columns: []
+                }), (constraint, row) => constraint.columns.push(row.fieldname)));
+        }
+
+        /**
+         * Ограничения CHECK таблицы
+         *
+         * @param {String} tableName Имя таблицы
+         * @promise {Array<{name: String, source: String}>} source - текст ограничения, например 'CHECK (AMOUNT > 0)'
+         */
+        getCheckConstraints(tableName) {
+            if (!tableName) {
+                return Promise.resolve([]);
+            }
+
+            // Ограничение реализуется парой триггеров (на вставку и изменение) с одинаковым текстом - берем первый
+            const sql = `
+                SELECT 
+                    TRIM(rc.rdb$constraint_name) AS name, 
+                    t.rdb$trigger_source AS source 
+                FROM rdb$relation_constraints rc 
+                JOIN rdb$check_constraints cc ON cc.rdb$constraint_name = rc.rdb$constraint_name 
+                JOIN rdb$triggers t ON t.rdb$trigger_name = cc.rdb$trigger_name 
+                WHERE 
+                    rc.rdb$constraint_type = 'CHECK' 
+                    AND rc.rdb$relation_name = ? 
+                ORDER BY rc.rdb$constraint_name, t.rdb$trigger_type
+            `;
+            return this.connection.onReadTransaction((tr) => tr.query(sql, [tableName.toUpperCase()])
+                .then((result) => Promise.mapSeries(_.uniqBy(result || [], 'name'), (row) => {
+                    return Utils.readBlob(row.source)
+                        .then((source) => ({
+                            name: row.name,
+                            source: source != null ? source.trim() : null
+                        }));
+                })));
+        }
+
+        /**
+         * Пользовательские хранимые процедуры с параметрами и исходным кодом
+         *
+         * @promise {Array<{name: String, inputs: Array<Object>, outputs: Array<Object>, source: String}>}
+         *      параметры описываются так же, как поля в getColumns
+         */
+        getProcedures() {
+            const proceduresSql = `
+                SELECT 
+                    TRIM(rdb$procedure_name) AS name, 
+                    rdb$procedure_source AS source 
+                FROM rdb$procedures 
+                WHERE COALESCE(rdb$system_flag, 0) = 0 
+                ORDER BY rdb$procedure_name
+            `;
+            const parametersSql = `
+                SELECT 
+                    TRIM(pp.rdb$procedure_name) AS procedurename, 
+                    TRIM(pp.rdb$parameter_name) AS name, 
+                    pp.rdb$parameter_type AS parametertype, 
+                    TRIM(pp.rdb$field_source) AS domain, 
+                    ${FIELD_COLUMNS} 
+                FROM rdb$procedure_parameters pp 
+                JOIN rdb$fields f ON f.rdb$field_name = pp.rdb$field_source 
+                WHERE COALESCE(pp.rdb$system_flag, 0) = 0 
+                ORDER BY pp.rdb$procedure_name, pp.rdb$parameter_type, pp.rdb$parameter_number
+            `;
+
+            return this.connection.onReadTransaction((tr) => tr.query(proceduresSql, [])
+                .then((procedures) => Promise.mapSeries(procedures || [], (row) => {
+                    return Utils.readBlob(row.source)
+                        .then((source) => ({
+                            name: row.name,
+                            inputs: [],
+                            outputs: [],
+                            source: source != null ? source.trim() : null
+                        }));
+                })))
+                .then((procedures) => {
+                    return this.connection.queryRead(parametersSql, [])
+                        .then((parameters) => {
+                            const byName = _.keyBy(procedures, 'name');
+
+                            (parameters || []).forEach((row) => {
+                                const procedure = byName[row.procedurename];
+                                if (!procedure) {
+                                    return;
+                                }
+
+                                const parameter = Object.assign({name: row.name}, mapField(row), {
+                                    domain: isSystemName(row.domain) ? null : row.domain
+                                });
+                                (row.parametertype === 0 ? procedure.inputs : procedure.outputs).push(parameter);
+                            });
+
+                            return procedures;
+                        });
+                });
+        }
+
+        /**
+         * Пользовательские триггеры таблицы, или все пользовательские триггеры, если таблица не указана
+         *
+         * @param {String} [tableName] Имя таблицы
+         * @promise {Array<{name: String, table: String, event: String, position: Number, active: Boolean, source: String}>}
+         *      event - событие в виде SQL, например 'BEFORE INSERT OR UPDATE'
+         */
+        getTriggers(tableName) {
+            const sql = `
+                SELECT 
+                    TRIM(rdb$trigger_name) AS name, 
+                    TRIM(rdb$relation_name) AS tablename, 
+                    rdb$trigger_type AS triggertype, 
+                    COALESCE(rdb$trigger_sequence, 0) AS position, 
+                    COALESCE(rdb$trigger_inactive, 0) AS inactive, 
+                    rdb$trigger_source AS source 
+                FROM rdb$triggers 
+                WHERE 
+                    COALESCE(rdb$system_flag, 0) = 0 
+                    ${tableName ? 'AND rdb$relation_name = ?' : ''} 
+                ORDER BY rdb$relation_name, rdb$trigger_type, rdb$trigger_sequence, rdb$trigger_name
+            `;
+            return this.connection.onReadTransaction((tr) => tr.query(sql, tableName ? [tableName.toUpperCase()] : [])
+                .then((result) => Promise.mapSeries(result || [], (row) => {
+                    return Utils.readBlob(row.source)
+                        .then((source) => ({
+                            name: row.name,
+                            table: row.tablename || null,
+                            event: Utils.formatTriggerEvent(row.triggertype),
+                            position: row.position,
+                            active: !row.inactive,
+                            source: source != null ? source.trim() : null
+                        }));
+                })));
+        }
+
+        /**
+         * Пользовательские генераторы с текущими значениями.
+         * Значения читаются одним запросом с полем GEN_ID(имя, 0) на каждый генератор
+         * (при большом числе генераторов - по GENERATORS_PER_QUERY в запросе).
+         *
+         * @promise {Array<{name: String, value: Number}>}
+         */
+        getGenerators() {
+            const sql = `
+                SELECT TRIM(rdb$generator_name) AS name 
+                FROM rdb$generators 
+                WHERE COALESCE(rdb$system_flag, 0) = 0 
+                ORDER BY rdb$generator_name
+            `;
+            return this.connection.queryRead(sql, [])
+                .then((result) => Promise.mapSeries(_.chunk(result || [], GENERATORS_PER_QUERY), (rows) => {
+                    const values = rows.map((row, i) => `GEN_ID(${quoteIdentifier(row.name)}, 0) AS val${i}`);
+                    const valuesSql = `SELECT ${values.join(', ')} FROM rdb$database`;
+                    return this.connection.queryRead(valuesSql, [])
+                        .then((valuesResult) => rows.map((row, i) => ({
+                            name: row.name,
+                            value: Number(valuesResult[0]['val' + i])
+                        })));
+                }))
+                .then(_.flatten);
+        }
+    }
+
+    /**
+     * Описание типа поля по строке с полями FIELD_COLUMNS
+     *
+     * @private
+     */
+    function mapField(row) {
+        const fieldType = Utils.formatFieldType({
+            fieldType: row.fieldtype,
+            fieldSubType: row.fieldsubtype,
+            length: row.fieldlength,
+            precision: row.fieldprecision,
+            scale: row.fieldscale
+        });
+
+        return {
+            type: fieldType.type,
+            baseType: fieldType.baseType,
+            length: row.fieldlength,
+            precision: row.fieldprecision || null,
+            scale: -(row.fieldscale || 0)
+        };
+    }
+
+    /**
+     * Группировка строк запроса с повторяющимся первым полем name
+     *
+     * @param {Array}    rows    Строки запроса
+     * @param {Function} create  Создание объекта по первой строке группы
+     * @param {Function} append  Добавление строки в объект
+     * @returns {Array}
+     * @private
+     */
+    function groupRows(rows, create, append) {
+        const result = [];
+        let current = null;
+
+        (rows || []).forEach((row) => {
+            if (!current || current.name !== row.name) {
+                current = create(row);
+                result.push(current);
+            }
+            append(current, row);
+        });
+
+        return result;
+    }
+
+    function parseDefault(defaultSource) {
+        if (!defaultSource) {
+            return null;
+        }
+
+        return defaultSource.trim().replace(/^DEFAULT\s+/i, '');
+    }
+
+    function isSystemName(name) {
+        return !name || /^RDB\$/.test(name);
+    }
+
+    /**
+     * Имя объекта, как оно хранится в системных таблицах: имена, которые в DDL пишутся без кавычек,
+     * приводятся к верхнему регистру, имена в кавычках - как есть
+     *
+     * @param {String} name Имя объекта
+     * @returns {String}
+     */
+    function storedName(name) {
+        const quoted = QueryBuilder.quoteIdentifier(name);
+        return quoted.charAt(0) === '"' ? quoted.slice(1, -1).replace(/""/g, '"') : quoted.toUpperCase();
+    }
+
+    function quoteIdentifier(name) {
+        return '"' + String(name).replace(/"/g, '""') + '"';
     }
 
     module.exports = Metadata;
@@ -0,0 +1,146 @@
+(function () {
+    'use strict';
+
+    const Err = require('../utils/err');
+    const HttpUtils = require('../utils/httpUtils');
+
+    // Границы корзин гистограммы времени ожидания соединения, мс
+    const ACQUIRE_WAIT_BUCKETS = [1, 5, 10, 25, 50, 100, 250, 500, 1000, 2500, 5000, 10000];
+
+    // Показатели пула для Prometheus: [поле статистики, имя, тип, описание]
+    const POOL_METRICS = [
+        ['size', 'size', 'gauge', 'Количество соединений пула, включая создаваемые'],
+        ['available', 'available', 'gauge', 'Количество свободных соединений'],
+        ['borrowed', 'borrowed', 'gauge', 'Количество выданных соединений'],
+        ['pending', 'pending', 'gauge', 'Количество ожидающих запросов соединения'],
+        ['max', 'max', 'gauge', 'Максимальный размер пула'],
+        ['min', 'min', 'gauge', 'Минимальный размер пула'],
+        ['created', 'created_total', 'counter', 'Количество созданных соединений'],
+        ['createErrors', 'create_errors_total', 'counter', 'Количество ошибок создания соединений'],
+        ['destroyed', 'destroyed_total', 'counter', 'Количество закрытых соединений'],
+        ['validationFailures', 'validation_failures_total', 'counter', 'Количество соединений, не прошедших проверку'],
+        ['acquireErrors', 'acquire_errors_total', 'counter', 'Количество неудачных запросов соединения']
+    ];
+
+    module.exports = {
+        ACQUIRE_WAIT_BUCKETS,
+
+        createHistogram,
+        observe,
+        formatPrometheus,
+        createHealthHandler,
+        createMetricsHandler
+    };
+
+    /**
+     * Создать гистограмму
+     *
+     * @param {Array<Number>} bounds Верхние границы корзин по возрастанию (корзина +Inf добавляется автоматически)
+     * @returns {{buckets: Array<{le: Number, count: Number}>, sum: Number, count: Number}}
+     */
+    function createHistogram(bounds) {
+        return {
+            buckets: bounds.concat(Infinity).map((le) => ({le, count: 0})),
+            sum: 0,
+            count: 0
+        };
+    }
+
+    /**
+     * Учесть значение в гистограмме (счетчики корзин накопительные, как в Prometheus)
+     *
+     * @param {Object} histogram Гистограмма
+     * @param {Number} value     Значение
+     */
+    function observe(histogram, value) {
+        histogram.buckets.forEach((bucket) => {
+            if (value <= bucket.le) {
+                bucket.count++;
+            }
+        });
+        histogram.sum += value;
+        histogram.count++;
+    }
+
+    /**
+     * Статистика пула в текстовом формате Prometheus
+     *
+     * @param {Object} stats                            Статистика пула (см. Pool.getStats)
+     * @param {Object} [options]                        Настройки
+     * @param {String} [options.prefix=firebird_pool]   Префикс имен показателей
+     * @param {Object} [options.labels]                 Метки всех показателей, например {database: 'main'}
+     * @returns {String}
+     */
+    function formatPrometheus(stats, options) {
+        options = options || {};
+        const prefix = options.prefix || 'firebird_pool';
+        const labels = options.labels || {};
+        const lines = [];
+
+        POOL_METRICS.forEach((metric) => {
+            const name = prefix + '_' + metric[1];
+            lines.push(`# HELP ${name} ${metric[3]}`);
+            lines.push(`# TYPE ${name} ${metric[2]}`);
+            lines.push(name + formatLabels(labels) + ' ' + (stats[metric[0]] || 0));
+        });
+
+        // Время ожидания соединения переводим в секунды, как принято в Prometheus
+        const histogram = stats.acquireWait;
+        const name = prefix + '_acquire_wait_seconds';
+        lines.push(`# HELP ${name} Время ожидания соединения`);
+        lines.push(`# TYPE ${name} histogram`);
+        histogram.buckets.forEach((bucket) => {
+            const le = bucket.le === Infinity ? '+Inf' : String(bucket.le / 1000);
+            lines.push(name + '_bucket' + formatLabels(Object.assign({}, labels, {le})) + ' ' + bucket.count);
+        });
+        lines.push(name + '_sum' + formatLabels(labels) + ' ' + histogram.sum / 1000);
+        lines.push(name + '_count' + formatLabels(labels) + ' ' + histogram.count);
+
+        return lines.join('\n') + '\n';
+    }
+
+    /**
+     * Создать express обработчик проверки здоровья БД (например, для маршрута /health).
+     * Отвечает 200 и результатом Pool.healthCheck, если БД доступна, иначе (в том числе при сбое самой проверки) - 503.
+     *
+     * @param {Pool}   pool               Пул соединений
+     * @param {Object} [options]          Настройки проверки (см. Pool.healthCheck)
+     * @returns {Function} (req, res) => void
+     */
+    function createHealthHandler(pool, options) {
+        return (req, res) => {
+            pool.healthCheck(options)
+                .then((health) => {
+                    res
+                        .status(health.status === 'ok' ? 200 : 503)
+                        .json(health);
+                })
+                .catch((e) => {
+                    HttpUtils.respondError(res, new Err.ServiceUnavailableError(`Ошибка проверки БД: ${e.message}`));
+                });
+        };
+    }
+
+    /**
+     * Создать express обработчик выдачи статистики пула в формате Prometheus (например, для маршрута /metrics)
+     *
+     * @param {Pool}   pool       Пул соединений
+     * @param {Object} [options]  Настройки форматирования (см. formatPrometheus)
+     * @returns {Function} (req, res) => void
+     */
+    function createMetricsHandler(pool, options) {
+        return (req, res) => {
+            res
+                .status(200)
+                .set('Content-Type', 'text/plain; version=0.0.4; charset=utf-8')
+                .send(pool.getPrometheusMetrics(options));
+        };
+    }
+
+    function formatLabels(labels) {
+        const pairs = Object.keys(labels)
+            .map((key) => `${key}="${String(labels[key]).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`);
+
+        return pairs.length ? '{' + pairs.join(',') + '}' : '';
+    }
+})();
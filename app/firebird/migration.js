@@ -1,8 +1,12 @@
 (function () {
     'use strict';
 
+    const os = require('os');
+    const Promise = require('bluebird');
+
     const Log = require('../log');
     const MomentUtils = require('../utils/momentUtils');
+    const Utils = require('./utils');
 
     /**
      * Вспомогательные методы для миграций
@@ -15,22 +19,95 @@
         /**
          * Инициализация метаданных для поддержки миграций
          *
+         * @param {Transaction} [transaction] Пишущая транзакция для изменения метаданных (dry run миграций),
+         *      по умолчанию каждое изменение проводится на отдельной пишущей транзакции
          * @promise
          */
-        init() {
+        init(transaction) {
             // Подготавливаем метаданные миграций
-            return __initMetadata01(this.connection)
-                .then(() => __initMetadata02(this.connection));
+            return __initMetadata01(this.connection, transaction)
+                .then(() => __initMetadata02(this.connection, transaction))
+                .then(() => __initMetadata03(this.connection, transaction))
+                .then(() => __initMetadata04(this.connection, transaction));
+        }
+
+        /**
+         * Захватить блокировку миграций на уровне БД.
+         * Блокировка удерживается открытой пишущей транзакцией, изменившей строку в rf_migration_lock,
+         * и автоматически снимается сервером при обрыве соединения.
+         * Если таблицы rf_migration_lock еще нет (БД инициализирована до ее появления), то она создается;
+         * одновременное создание таблицы другим процессом обрабатывается как занятая блокировка.
+         *
+         * @param {Object}   [options]                 Настройки
+         * @param {Boolean}  [options.wait=true]       Ожидать освобождения блокировки
+         * @param {Number}   [options.timeout=300000]  Максимальное время ожидания, мс
+         * @param {Number}   [options.interval=1000]   Интервал между попытками захвата, мс
+         * @promise {{release: Function<Promise>}} Захваченная блокировка
+         */
+        lock(options) {
+            options = Object.assign({
+                wait: true,
+                timeout: 5 * 60 * 1000,
+                interval: 1000
+            }, options);
+
+            const owner = os.hostname() + ':' + process.pid;
+            const deadline = Date.now() + options.timeout;
+            let waitLogged = false;
+
+            // language=SQL
+            const sql = `
+                UPDATE OR INSERT INTO rf_migration_lock (
+                  id, owner, lockdate) 
+                VALUES (
+                  1, ?, CURRENT_TIMESTAMP) 
+                MATCHING (id)
+            `;
+
+            const attempt = () => {
+                return createLockTable(this.connection)
+                    .then(() => this.connection.getWriteTransaction())
+                    .then((transaction) => {
+                        return transaction.query(sql, [owner])
+                            .then(() => ({
+                                release: () => transaction.commit()
+                            }))
+                            .catch((e) => {
+                                return transaction.rollback()
+                                    .finally(() => {
+                                        throw e;
+                                    });
+                            });
+                    })
+                    .catch((e) => {
+                        if (!Utils.isLockConflict(e) && !Utils.isUniqueViolation(e) && !isAlreadyExists(e)) {
+                            throw e;
+                        }
+                        if (!options.wait || Date.now() + options.interval > deadline) {
+                            throw new Error('Не удалось захватить блокировку миграций: она удерживается другим процессом');
+                        }
+
+                        if (!waitLogged) {
+                            waitLogged = true;
+                            Log.info('Ожидание освобождения блокировки миграций');
+                        }
+
+                        return Promise.delay(options.interval).then(attempt);
+                    });
+            };
+
+            return attempt();
         }
 
         /**
          * Проверка, была ли проведена миграция с таким идентификатором
          *
-         * @param {String}  project  Название проекта
-         * @param {Number}  id       ИД миграции
+         * @param {String}      project        Название проекта
+         * @param {Number}      id             ИД миграции
+         * @param {Transaction} [transaction]  Транзакция (по умолчанию - читающая транзакция соединения)
          * @promise {Boolean}
          */
-        check(project, id) {
+        check(project, id, transaction) {
             // language=SQL
             const sql = `
                 SELECT 
@@ -45,8 +122,11 @@
                 project || '',
                 id
             ];
-            return this.connection.queryRead(sql, params)
-                .then((result) => result && result.length > 0);
+            const query = transaction ?
+                transaction.query(sql, params, {record: false}) :
+                this.connection.queryRead(sql, params);
+
+            return query.then((result) => result && result.length > 0);
         }
 
         /**
@@ -58,44 +138,92 @@
          * @param {String}  name           Имя миграции
          * @param {String}  migrationDate  Дата миграции
          * @param {String}  author         Автор миграции
+         * @param {String}  [checksum]     Контрольная сумма миграции
          */
-        log(transaction, project, id, name, migrationDate, author) {
+        log(transaction, project, id, name, migrationDate, author, checksum) {
             migrationDate = migrationDate ? MomentUtils.parseDate(migrationDate).toDate() : null;
 
             // language=SQL
             const sql = `
                 INSERT INTO rf_migration (
-                  project, id, name, migrationdate, author) 
+                  project, id, name, migrationdate, author, checksum) 
                 VALUES(
-                  ?, ?, ?, ?, ?)
+                  ?, ?, ?, ?, ?, ?)
             `;
             const params = [
                 project || '',
                 id,
                 name,
                 migrationDate,
-                author
+                author,
+                checksum || null
             ];
             return transaction.query(sql, params);
         }
+
+        /**
+         * Удалить запись о проведении миграции
+         *
+         * @param {Transaction}  transaction  Транзакция
+         * @param {String}       project      Название проекта
+         * @param {Number}       id           ИД миграции
+         */
+        remove(transaction, project, id) {
+            // language=SQL
+            const sql = `
+                DELETE FROM 
+                  rf_migration 
+                WHERE 
+                  project = ?
+                  AND id = ?
+            `;
+            const params = [
+                project || '',
+                id
+            ];
+            return transaction.query(sql, params);
+        }
+
+        /**
+         * Получить список проведенных миграций проекта
+         *
+         * @param {String}  project  Название проекта
+         * @promise {Array} Записи о проведенных миграциях, по возрастанию ИД
+         */
+        getApplied(project) {
+            // language=SQL
+            const sql = `
+                SELECT 
+                  project, id, name, migrationdate, author, executeddate, checksum 
+                FROM 
+                  rf_migration 
+                WHERE 
+                  project = ?
+                ORDER BY 
+                  id
+            `;
+            return this.connection.queryRead(sql, [project || ''])
+                .then((result) => result || []);
+        }
     }
 
     /**
      * Создание таблицы rf_migration
      *
-     * @param {Connection}  connection
+     * @param {Connection}   connection
+     * @param {Transaction}  [transaction]
      * @return {Promise.<>}
      * @private
      */
-    function __initMetadata01(connection) {
-        return connection.metadata.tableExists('rf_migration')
+    function __initMetadata01(connection, transaction) {
+        return connection.metadata.tableExists('rf_migration', transaction)
             .then((exists) => {
                 if (exists) {
                     return;
                 }
 
                 // Если не существует, то на пишущей транзакции создаем ее
-                return connection.onWriteTransaction((transaction) => {
+                return onWriteTransaction(connection, transaction, (transaction) => {
                     const tableSql = `
                         CREATE TABLE rf_migration (
                           id BIGINT NOT NULL, 
@@ -115,27 +243,114 @@
     /**
      * Обновление rf_migration: добавление поля project + включение его в PK
      *
-     * @param {Connection}  connection
+     * @param {Connection}   connection
+     * @param {Transaction}  [transaction]
      * @return {Promise.<>}
      * @private
      */
-    function __initMetadata02(connection) {
-        return connection.metadata.fieldExists('rf_migration', 'project')
+    function __initMetadata02(connection, transaction) {
+        return connection.metadata.fieldExists('rf_migration', 'project', transaction)
             .then((exists) => {
                 if (exists) {
                     return;
                 }
 
-                return connection.onWriteTransaction((transaction) => {
+                return onWriteTransaction(connection, transaction, (transaction) => {
                     return Promise.resolve()
                         .then(() => transaction.query(`ALTER TABLE rf_migration DROP CONSTRAINT rf_pk_migration`))
                         .then(() => transaction.query(`ALTER TABLE rf_migration ADD project VARCHAR(255) DEFAULT '' NOT NULL`));
                 })
-                    .then(() => connection.onWriteTransaction((transaction) => transaction.query(`UPDATE rf_migration SET project = ''`)))
-                    .then(() => connection.onWriteTransaction((transaction) => transaction.query(`ALTER TABLE rf_migration ADD CONSTRAINT rf_pk_migration PRIMARY KEY (project, id)`)))
+                    .then(() => onWriteTransaction(connection, transaction, (transaction) => transaction.query(`UPDATE rf_migration SET project = ''`)))
+                    .then(() => onWriteTransaction(connection, transaction, (transaction) => transaction.query(`ALTER TABLE rf_migration ADD CONSTRAINT rf_pk_migration PRIMARY KEY (project, id)`)))
                     .catch((e) => Log.logAndRethrow('Ошибка при обновлении метаданных миграций 02', e));
             });
     }
 
+    /**
+     * Обновление rf_migration: добавление поля checksum
+     *
+     * @param {Connection}   connection
+     * @param {Transaction}  [transaction]
+     * @return {Promise.<>}
+     * @private
+     */
+    function __initMetadata03(connection, transaction) {
+        return connection.metadata.fieldExists('rf_migration', 'checksum', transaction)
+            .then((exists) => {
+                if (exists) {
+                    return;
+                }
+
+                return onWriteTransaction(connection, transaction, (transaction) => transaction.query(`ALTER TABLE rf_migration ADD checksum VARCHAR(64)`))
+                    .catch((e) => Log.logAndRethrow('Ошибка при обновлении метаданных миграций 03', e));
+            });
+    }
+
+    /**
+     * Создание таблицы блокировки миграций rf_migration_lock
+     *
+     * @param {Connection}   connection
+     * @param {Transaction}  [transaction]
+     * @return {Promise.<>}
+     * @private
+     */
+    function __initMetadata04(connection, transaction) {
+        return createLockTable(connection, transaction)
+            .catch((e) => Log.logAndRethrow('Ошибка при обновлении метаданных миграций 04', e));
+    }
+
+    /**
+     * Создать таблицу блокировки миграций rf_migration_lock, если ее нет
+     *
+     * @param {Connection}   connection
+     * @param {Transaction}  [transaction]
+     * @return {Promise.<>}
+     * @private
+     */
+    function createLockTable(connection, transaction) {
+        return connection.metadata.tableExists('rf_migration_lock', transaction)
+            .then((exists) => {
+                if (exists) {
+                    return;
+                }
+
+                return onWriteTransaction(connection, transaction, (transaction) => {
+                    const tableSql = `
+                        CREATE TABLE rf_migration_lock (
+                          id INTEGER NOT NULL, 
+                          owner VARCHAR(255), 
+                          lockdate TIMESTAMP, 
+                          CONSTRAINT rf_pk_migration_lock PRIMARY KEY (id) 
+                    )`;
+
+                    return transaction.query(tableSql);
+                });
+            });
+    }
+
+    /**
+     * Выполнить действия на указанной транзакции или, если она не указана, на новой пишущей транзакции
+     *
+     * @param {Connection}         connection
+     * @param {Transaction}        [transaction]
+     * @param {Function<Promise>}  action  Действия: (transaction) => Promise
+     * @return {Promise.<>}
+     * @private
+     */
+    function onWriteTransaction(connection, transaction, action) {
+        return transaction ? Promise.try(() => action(transaction)) : connection.onWriteTransaction(action);
+    }
+
+    /**
+     * Объект метаданных уже существует (таблицу одновременно создал другой процесс)
+     *
+     * @param {Error} error Ошибка
+     * @returns {boolean}
+     * @private
+     */
+    function isAlreadyExists(error) {
+        return Boolean(error) && /already exists/i.test(error.message || '');
+    }
+
     module.exports = Migration;
 })();
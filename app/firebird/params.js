@@ -0,0 +1,216 @@
+(function () {
+    'use strict';
+
+    const _ = require('lodash');
+    const moment = require('moment');
+
+    // Максимальный размер кэша разобранных запросов
+    const CACHE_SIZE = 1000;
+
+    // Запросы с PSQL кодом, в которых :name - это переменные, а не параметры
+    const PSQL_STATEMENT = /^\s*(EXECUTE\s+BLOCK|CREATE|ALTER|RECREATE|SET\s+TERM)\b/i;
+
+    const cache = new Map();
+
+    module.exports = {
+        parse,
+        bind,
+        toPositional,
+        inline,
+        formatLiteral
+    };
+
+    /**
+     * Разбор запроса с именованными параметрами :name.
+     * Строковые литералы, идентификаторы в кавычках и комментарии пропускаются.
+     * Результат кэшируется по тексту запроса.
+     *
+     * @param {String} sql Текст запроса
+     * @returns {{sql: String, names: Array<String>}} Запрос с позиционными параметрами "?" и имена параметров по порядку
+     */
+    function parse(sql) {
+        let parsed = cache.get(sql);
+        if (parsed) {
+            return parsed;
+        }
+
+        parsed = PSQL_STATEMENT.test(sql) ? {sql, names: []} : parseSql(sql);
+
+        if (cache.size >= CACHE_SIZE) {
+            cache.clear();
+        }
+        cache.set(sql, parsed);
+
+        return parsed;
+    }
+
+    /**
+     * Подготовить запрос и параметры к выполнению.
+     * Если параметры переданы объектом, то именованные параметры запроса заменяются на позиционные.
+     *
+     * @param {String}       sql       Текст запроса
+     * @param {Array|Object} [params]  Массив параметров или объект со значениями именованных параметров
+     * @returns {{sql: String, params: Array}}
+     */
+    function bind(sql, params) {
+        if (!_.isPlainObject(params)) {
+            return {sql, params};
+        }
+
+        const parsed = parse(sql);
+        return {
+            sql: parsed.sql,
+            params: toPositional(parsed.names, params)
+        };
+    }
+
+    /**
+     * Преобразовать объект значений в массив позиционных параметров
+     *
+     * @param {Array<String>} names   Имена параметров по порядку
+     * @param {Object}        values  Значения параметров
+     * @returns {Array}
+     */
+    function toPositional(names, values) {
+        const used = {};
+        const result = names.map((name) => {
+            if (!_.has(values, name) || values[name] === undefined) {
+                throw new Error(`Не передано значение параметра запроса ":${name}"`);
+            }
+
+            used[name] = true;
+            return values[name];
+        });
+
+        const unknown = Object.keys(values).filter((name) => !used[name]);
+        if (unknown.length > 0) {
+            throw new Error(`Неизвестные параметры запроса: ${unknown.map((name) => ':' + name).join(', ')}`);
+        }
+
+        return result;
+    }
+
+    /**
+     * Подставить значения позиционных параметров "?" в текст запроса в виде SQL литералов
+     *
+     * @param {String} sql     Текст запроса
+     * @param {Array}  values  Значения параметров
+     * @returns {String}
+     */
+    function inline(sql, values) {
+        values = values || [];
+
+        let index = 0;
+        let result = '';
+        let i = 0;
+
+        while (i < sql.length) {
+            const end = skipLiteral(sql, i);
+            if (end > i) {
+                result += sql.substring(i, end);
+                i = end;
+            } else if (sql[i] === '?') {
+                if (index >= values.length) {
+                    throw new Error(`Не передано значение параметра запроса №${index + 1}`);
+                }
+                result += formatLiteral(values[index++]);
+                i++;
+            } else {
+                result += sql[i++];
+            }
+        }
+
+        if (index < values.length) {
+            throw new Error(`Передано больше параметров запроса, чем есть в запросе: ${values.length} вместо ${index}`);
+        }
+
+        return result;
+    }
+
+    /**
+     * Значение в виде SQL литерала
+     *
+     * @param {*} value Значение: null, число, строка, boolean или дата
+     * @returns {String}
+     */
+    function formatLiteral(value) {
+        if (value == null) {
+            return 'NULL';
+        }
+
+        if (typeof value === 'number') {
+            if (!isFinite(value)) {
+                throw new Error(`Недопустимое числовое значение параметра: ${value}`);
+            }
+            return String(value);
+        }
+        if (typeof value === 'boolean') {
+            return value ? '1' : '0';
+        }
+        if (typeof value === 'string') {
+            return "'" + value.replace(/'/g, "''") + "'";
+        }
+        if (value instanceof Date) {
+            return "'" + moment(value).format('YYYY-MM-DD HH:mm:ss.SSS') + "'";
+        }
+
+        throw new Error(`Неподдерживаемый тип значения параметра: ${Object.prototype.toString.call(value)}`);
+    }
+
+    function parseSql(sql) {
+        const names = [];
+        let result = '';
+        let i = 0;
+
+        while (i < sql.length) {
+            const char = sql[i];
+            const next = sql[i + 1];
+            const end = skipLiteral(sql, i);
+
+            if (end > i) {
+                result += sql.substring(i, end);
+                i = end;
+            } else if (char === ':' && /[A-Za-z_]/.test(next || '')) {
+                const match = /^[A-Za-z_][A-Za-z0-9_$]*/.exec(sql.substr(i + 1));
+                names.push(match[0]);
+                result += '?';
+                i += 1 + match[0].length;
+            } else {
+                result += char;
+                i++;
+            }
+        }
+
+        return {sql: result, names};
+    }
+
+    /**
+     * Пропустить строку, идентификатор в кавычках или комментарий, начинающийся с позиции i
+     *
+     * @param {String} sql  Текст запроса
+     * @param {Number} i    Позиция
+     * @returns {Number} Позиция после пропущенного фрагмента, или i, если с позиции i он не начинается
+     */
+    function skipLiteral(sql, i) {
+        const char = sql[i];
+        const next = sql[i + 1];
+        let end = i;
+
+        if (char === "'" || char === '"') {
+            // Строка или идентификатор в кавычках (кавычка экранируется удвоением)
+            end = i + 1;
+            while (end < sql.length && !(sql[end] === char && sql[end + 1] !== char)) {
+                end += sql[end] === char ? 2 : 1;
+            }
+            end++;
+        } else if (char === '-' && next === '-') {
+            end = sql.indexOf('\n', i);
+            end = end < 0 ? sql.length : end;
+        } else if (char === '/' && next === '*') {
+            end = sql.indexOf('*/', i + 2);
+            end = end < 0 ? sql.length : end + 2;
+        }
+
+        return end;
+    }
+})();
@@ -0,0 +1,326 @@
+(function () {
+    'use strict';
+
+    const Promise = require('bluebird');
+    const GenericPool = require('generic-pool');
+    const Metrics = require('./metrics');
+    const Log = require('../log');
+
+    // Время ожидания проверки здоровья по умолчанию, мс
+    const DEFAULT_HEALTH_TIMEOUT = 5000;
+
+    /**
+     * Пул соединений к БД (generic-pool) с методами выполнения запросов на соединении пула
+     * и обнаружением утечек соединений.
+     * События (помимо событий generic-pool):
+     *   leak - соединение удерживается дольше leakDetectionThreshold: {connection, heldMs, stack}
+     */
+    class Pool extends GenericPool.Pool {
+        /**
+         * @param {Object} factory                              Фабрика соединений generic-pool
+         * @param {Object} [options]                            Настройки generic-pool, а также:
+         * @param {Number} [options.leakDetectionThreshold=0]   Время удержания соединения, мс, после которого в лог пишется
+         *                                                      стек получения соединения (0 - не отслеживать)
+         * @constructor
+         */
+        constructor(factory, options) {
+            options = Object.assign({}, options);
+            const leakDetectionThreshold = options.leakDetectionThreshold || 0;
+            delete options.leakDetectionThreshold;
+
+            const counters = {
+                created: 0,
+                createErrors: 0,
+                destroyed: 0,
+                validationFailures: 0,
+                acquireErrors: 0
+            };
+
+            super(GenericPool.DefaultEvictor, GenericPool.Deque, GenericPool.PriorityQueue,
+                countFactory(factory, counters), options);
+
+            /** @member {Object} Фабрика соединений (проверка соединения используется в healthCheck) */
+            this.connectionFactory = factory;
+            this.counters = counters;
+            /** @member {Object} Гистограмма времени ожидания соединения, мс */
+            this.acquireWait = Metrics.createHistogram(Metrics.ACQUIRE_WAIT_BUCKETS);
+            this.leakDetectionThreshold = leakDetectionThreshold;
+            /** @member {Map<Connection, {acquiredAt: Number, stack: String, timer: Object}>} Выданные соединения */
+            this.loans = new Map();
+        }
+
+        /**
+         * Получить соединение из пула
+         *
+         * @param {Number} [priority] Приоритет запроса
+         * @promise {Connection}
+         */
+        acquire(priority) {
+            // Стек запоминаем в момент вызова: по нему видно, кто не вернул соединение
+            const stack = this.leakDetectionThreshold > 0 ? new Error().stack.replace(/^Error\n/, '') : null;
+            const startedAt = Date.now();
+
+            return super.acquire(priority)
+                .then((connection) => {
+                    Metrics.observe(this.acquireWait, Date.now() - startedAt);
+                    this._trackLoan(connection, stack);
+                    return connection;
+                }, (e) => {
+                    this.counters.acquireErrors++;
+                    throw e;
+                });
+        }
+
+        /**
+         * Вернуть соединение в пул
+         *
+         * @param {Connection} connection Соединение
+         * @returns {Promise}
+         */
+        release(connection) {
+            this._untrackLoan(connection);
+            return super.release(connection);
+        }
+
+        /**
+         * Уничтожить выданное соединение вместо возврата в пул
+         *
+         * @param {Connection} connection Соединение
+         * @returns {Promise}
+         */
+        destroy(connection) {
+            this._untrackLoan(connection);
+            return super.destroy(connection);
+        }
+
+        /**
+         * Выполнить действия на соединении пула.
+         * Соединение возвращается в пул после завершения действий (в том числе с ошибкой), сломанное - уничтожается.
+         *
+         * @param {Function<Promise>} action Действия: (connection) => Promise
+         * @returns {Promise.<T>}
+         */
+        withConnection(action) {
+            return this.acquire()
+                .then((connection) => {
+                    return Promise.try(() => action(connection))
+                        .finally(() => connection.isBroken() ? this.destroy(connection) : this.release(connection));
+                });
+        }
+
+        /**
+         * Выполнить запрос на читающей транзакции соединения пула (см. Connection.queryRead)
+         *
+         * @param {String}       sql        Текст запроса
+         * @param {Array|Object} [params]   Параметры запроса
+         * @param {Object}       [options]  Настройки запроса
+         * @returns Promise.<Array>
+         */
+        queryRead(sql, params, options) {
+            return this.withConnection((connection) => connection.queryRead(sql, params, options));
+        }
+
+        /**
+         * Выполнить запрос на пишущей транзакции соединения пула (см. Connection.queryWrite)
+         *
+         * @param {String}       sql        Текст запроса
+         * @param {Array|Object} [params]   Параметры запроса
+         * @param {Object}       [options]  Настройки запроса
+         * @returns Promise.<Array>
+         */
+        queryWrite(sql, params, options) {
+            return this.withConnection((connection) => connection.queryWrite(sql, params, options));
+        }
+
+        /**
+         * Выполнить пишущие действия на соединении пула (см. Connection.onWriteTransaction)
+         *
+         * @param {Function<Promise>} action     Действия: (transaction, attempt) => Promise
+         * @param {Object}            [options]  Настройки: dryRun, retry
+         * @returns {Promise.<T>}
+         */
+        onWriteTransaction(action, options) {
+            return this.withConnection((connection) => connection.onWriteTransaction(action, options));
+        }
+
+        /**
+         * Статистика пула
+         *
+         * @returns {{size: Number, available: Number, borrowed: Number, pending: Number, max: Number, min: Number,
+         *            created: Number, createErrors: Number, destroyed: Number, validationFailures: Number,
+         *            acquireErrors: Number, acquireWait: {buckets: Array<{le: Number, count: Number}>, sum: Number, count: Number}}}
+         *            acquireWait - гистограмма времени ожидания соединения, мс (счетчики корзин накопительные)
+         */
+        getStats() {
+            return Object.assign({
+                size: this.size,
+                available: this.available,
+                borrowed: this.borrowed,
+                pending: this.pending,
+                max: this.max,
+                min: this.min
+            }, this.counters, {
+                acquireWait: {
+                    buckets: this.acquireWait.buckets.map((bucket) => Object.assign({}, bucket)),
+                    sum: this.acquireWait.sum,
+                    count: this.acquireWait.count
+                }
+            });
+        }
+
+        /**
+         * Статистика пула в текстовом формате Prometheus
+         *
+         * @param {Object} [options]  Настройки: prefix, labels (см. metrics.formatPrometheus)
+         * @returns {String}
+         */
+        getPrometheusMetrics(options) {
+            return Metrics.formatPrometheus(this.getStats(), options);
+        }
+
+        /**
+         * Проверить доступность БД: на соединении пула выполняется проверка соединения фабрики
+         * (SELECT 1 FROM rdb$database) и запрашивается версия сервера.
+         * Промис не отклоняется: результат проверки - в поле status.
+         *
+         * @param {Object} [options]               Настройки
+         * @param {Number} [options.timeout=5000]  Время ожидания проверки, мс
+         * @promise {{status: String, durationMs: Number, serverVersion: Object, error: String, pool: Object}}
+         *          status - ok или error, pool - статистика пула
+         */
+        healthCheck(options) {
+            options = Object.assign({timeout: DEFAULT_HEALTH_TIMEOUT}, options);
+            const startedAt = Date.now();
+
+            return this.withConnection((connection) => {
+                const validate = this.connectionFactory.validate ?
+                    this.connectionFactory.validate(connection) : Promise.resolve(true);
+
+                return Promise.resolve(validate)
+                    .then((valid) => {
+                        if (!valid) {
+                            throw new Error('Соединение с БД не прошло проверку');
+                        }
+
+                        return connection.metadata.getServerVersion();
+                    });
+            })
+                .timeout(options.timeout, `Превышено время проверки БД (${options.timeout} мс)`)
+                .then((serverVersion) => ({
+                    status: 'ok',
+                    durationMs: Date.now() - startedAt,
+                    serverVersion,
+                    pool: this.getStats()
+                }))
+                .catch((e) => ({
+                    status: 'error',
+                    durationMs: Date.now() - startedAt,
+                    error: e.message,
+                    pool: this.getStats()
+                }));
+        }
+
+        /**
+         * Остановить пул: новые соединения не выдаются, выполняемые действия дожидаются завершения,
+         * после чего все соединения закрываются.
+         *
+         * @param {Object} [options]           Настройки
+         * @param {Number} [options.timeout]   Время ожидания возврата выданных соединений, мс; по истечении
+         *                                     не возвращенные соединения уничтожаются (по умолчанию - ждать без ограничения)
+         * @returns {Promise}
+         */
+        drain(options) {
+            options = options || {};
+
+            const draining = Promise.resolve(super.drain());
+            const waiting = options.timeout > 0 ?
+                draining
+                    .timeout(options.timeout)
+                    .catch(Promise.TimeoutError, () => {
+                        Log.warn('Пул: %d соединений не возвращено за %d мс, соединения будут закрыты',
+                            this.loans.size, options.timeout);
+
+                        Array.from(this.loans.keys()).forEach((connection) => this.destroy(connection));
+                        return draining;
+                    }) :
+                draining;
+
+            return waiting.then(() => this.clear());
+        }
+
+        /**
+         * Запомнить выданное соединение и запустить отслеживание утечки
+         *
+         * @param {Connection} connection  Соединение
+         * @param {String}     stack       Стек получения соединения
+         * @private
+         */
+        _trackLoan(connection, stack) {
+            const loan = {acquiredAt: Date.now(), stack, timer: null};
+
+            if (this.leakDetectionThreshold > 0) {
+                loan.timer = setTimeout(() => {
+                    const heldMs = Date.now() - loan.acquiredAt;
+                    Log.warn('Пул: соединение удерживается %d мс, возможна утечка. Соединение получено:\n%s', heldMs, stack);
+                    this.emit('leak', {connection, heldMs, stack});
+                }, this.leakDetectionThreshold);
+
+                if (loan.timer.unref) {
+                    loan.timer.unref();
+                }
+            }
+
+            this.loans.set(connection, loan);
+        }
+
+        _untrackLoan(connection) {
+            const loan = this.loans.get(connection);
+            if (loan) {
+                clearTimeout(loan.timer);
+                this.loans.delete(connection);
+            }
+        }
+    }
+
+    /**
+     * Фабрика соединений, считающая созданные, закрытые и не прошедшие проверку соединения
+     *
+     * @param {Object} factory   Фабрика соединений generic-pool
+     * @param {Object} counters  Счетчики
+     * @returns {Object}
+     */
+    function countFactory(factory, counters) {
+        const counted = Object.assign({}, factory, {
+            create() {
+                return Promise.resolve(factory.create())
+                    .then((connection) => {
+                        counters.created++;
+                        return connection;
+                    }, (e) => {
+                        counters.createErrors++;
+                        throw e;
+                    });
+            },
+            destroy(connection) {
+                counters.destroyed++;
+                return factory.destroy(connection);
+            }
+        });
+
+        if (factory.validate) {
+            counted.validate = (connection) => {
+                return Promise.resolve(factory.validate(connection))
+                    .then((valid) => {
+                        if (!valid) {
+                            counters.validationFailures++;
+                        }
+                        return valid;
+                    });
+            };
+        }
+
+        return counted;
+    }
+
+    module.exports = Pool;
+})();
@@ -0,0 +1,315 @@
+(function () {
+    'use strict';
+
+    const Promise = require('bluebird');
+    const _ = require('lodash');
+    const DataUtils = require('../utils/dataUtils');
+    const Err = require('../utils/err');
+    const QueryBuilder = require('../utils/queryBuilder');
+
+    // Ключ фильтра: свойство и необязательный оператор - {'amount >': 10}
+    const FILTER_KEY = /^(\S+)(\s+.+)?$/;
+
+    /**
+     * CRUD-доступ к одной таблице.
+     * Строки результата преобразуются в объекты свойств по columns и передаются в factory,
+     * так же как это делает DataUtils.prepareObjectMapper.
+     *
+     * Все методы принимают необязательную транзакцию последним параметром:
+     * без нее чтение выполняется на читающей транзакции, а запись - в отдельной пишущей транзакции.
+     * Если задано соответствие columns, то фильтр и сортировка допускают только перечисленные в нем свойства
+     * (их значения обычно приходят из запроса клиента).
+     */
+    class Repository {
+        /**
+         * @param {Connection} connection                 Соединение
+         * @param {Object}     options                    Настройки
+         * @param {String}     options.table              Имя таблицы
+         * @param {String}     [options.primaryKey=id]    Свойство первичного ключа
+         * @param {String}     [options.generator]        Генератор значений первичного ключа
+         * @param {Object}     [options.columns]          Соответствие свойств полям таблицы: {clientName: 'client_name'},
+         *                                                по умолчанию имена свойств совпадают с полями
+         * @param {Function}   [options.factory]          Функция-конструктор объекта
+         * @constructor
+         */
+        constructor(connection, options) {
+            if (!options || !options.table) {
+                throw new Error('Не указана таблица репозитория');
+            }
+
+            this.connection = connection;
+            this.table = options.table;
+            this.primaryKey = options.primaryKey || 'id';
+            this.generator = options.generator || null;
+            this.columns = options.columns || null;
+            this.factory = options.factory || null;
+
+            this._properties = this.columns ? _.invert(_.mapValues(this.columns, (column) => column.toLowerCase())) : null;
+            this._mapArray = DataUtils.prepareArrayMapper((row) => this._create(row));
+            this._mapObject = DataUtils.prepareObjectMapper((row) => this._create(row));
+        }
+
+        /**
+         * Найти объект по первичному ключу
+         *
+         * @param {*}           id             Значение первичного ключа
+         * @param {Transaction} [transaction]  Транзакция
+         * @promise {Object|undefined}
+         */
+        findById(id, transaction) {
+            const builder = () => QueryBuilder.select(this._selectColumns())
+                .from(this.table)
+                .where({[this._column(this.primaryKey)]: id});
+
+            return this._read(builder, transaction)
+                .then(this._mapObject);
+        }
+
+        /**
+         * Найти объекты по фильтру
+         *
+         * @param {Object}                                [filter]       Фильтр: {свойство: значение} или {'свойство оператор': значение}
+         * @param {{size: Number, skip: Number}}          [pagination]   Пагинация
+         * @param {String|Array<String>|Object}           [sort]         Сортировка: 'name', '-name' (по убыванию), массив, или {name: 'DESC'}
+         * @param {Transaction}                           [transaction]  Транзакция
+         * @promise {Array<Object>}
+         */
+        findMany(filter, pagination, sort, transaction) {
+            const builder = () => {
+                const select = QueryBuilder.select(this._selectColumns())
+                    .from(this.table)
+                    .paginate(pagination);
+
+                if (!_.isEmpty(filter)) {
+                    select.where(this._toColumns(filter, true));
+                }
+                formatSort(sort).forEach((order) => {
+                    select.orderBy(this._knownColumn(order.property, 'Неверная сортировка'), order.direction);
+                });
+                return select;
+            };
+
+            return this._read(builder, transaction)
+                .then(this._mapArray);
+        }
+
+        /**
+         * Количество строк по фильтру
+         *
+         * @param {Object}      [filter]       Фильтр, как в findMany
+         * @param {Transaction} [transaction]  Транзакция
+         * @promise {Number}
+         */
+        count(filter, transaction) {
+            const builder = () => {
+                const select = QueryBuilder.select(QueryBuilder.raw('COUNT(*) AS cnt')).from(this.table);
+                return _.isEmpty(filter) ? select : select.where(this._toColumns(filter, true));
+            };
+
+            return this._read(builder, transaction)
+                .then((rows) => rows && rows.length > 0 ? Number(rows[0].cnt) : 0);
+        }
+
+        /**
+         * Добавить объект.
+         * Если первичный ключ не передан и указан генератор, то значение ключа берется из генератора.
+         * Значения полей, заполненные на сервере (ключ, значения по умолчанию, триггеры), возвращаются через RETURNING.
+         *
+         * @param {Object}      data           Значения свойств
+         * @param {Transaction} [transaction]  Транзакция
+         * @promise {Object} Добавленный объект
+         */
+        insert(data, transaction) {
+            const builder = () => QueryBuilder.insert(this.table, this._toInsertColumns(data))
+                .returning(this._returningColumns());
+
+            return this._write(builder, transaction)
+                .then((row) => this._create(Object.assign(lowerKeys(this._toColumns(data)), row)));
+        }
+
+        /**
+         * Изменить объект по первичному ключу
+         *
+         * @param {*}           id             Значение первичного ключа
+         * @param {Object}      data           Изменяемые свойства
+         * @param {Transaction} [transaction]  Транзакция
+         * @promise {Boolean} false - объект не найден
+         */
+        update(id, data, transaction) {
+            const primaryKey = this._column(this.primaryKey);
+            const builder = () => QueryBuilder.update(this.table, this._toColumns(_.omit(data, this.primaryKey)))
+                .where({[primaryKey]: id})
+                .returning(primaryKey);
+
+            return this._write(builder, transaction)
+                .then((row) => Boolean(row && row[primaryKey.toLowerCase()] != null));
+        }
+
+        /**
+         * Добавить или изменить объект (UPDATE OR INSERT ... MATCHING по первичному ключу)
+         *
+         * @param {Object}      data           Значения свойств
+         * @param {Transaction} [transaction]  Транзакция
+         * @promise {Object} Сохраненный объект
+         */
+        upsert(data, transaction) {
+            const builder = () => QueryBuilder.updateOrInsert(this.table, this._toInsertColumns(data))
+                .matching(this._column(this.primaryKey))
+                .returning(this._returningColumns());
+
+            return this._write(builder, transaction)
+                .then((row) => this._create(Object.assign(lowerKeys(this._toColumns(data)), row)));
+        }
+
+        /**
+         * Удалить объект по первичному ключу
+         *
+         * @param {*}           id             Значение первичного ключа
+         * @param {Transaction} [transaction]  Транзакция
+         * @promise {Boolean} false - объект не найден
+         */
+        delete(id, transaction) {
+            const primaryKey = this._column(this.primaryKey);
+            const builder = () => QueryBuilder.deleteFrom(this.table)
+                .where({[primaryKey]: id})
+                .returning(primaryKey);
+
+            return this._write(builder, transaction)
+                .then((row) => Boolean(row && row[primaryKey.toLowerCase()] != null));
+        }
+
+        /**
+         * Выполнить читающий запрос
+         *
+         * @param {Function}    builder        Создание построителя запроса
+         * @param {Transaction} [transaction]  Транзакция
+         * @promise {Array}
+         * @private
+         */
+        _read(builder, transaction) {
+            return Promise.try(() => builder().build())
+                .then((query) => transaction ?
+                    transaction.query(query.sql, query.params) :
+                    this.connection.queryRead(query.sql, query.params));
+        }
+
+        /**
+         * Выполнить пишущий запрос; результат RETURNING приводится к одной строке
+         *
+         * @param {Function}    builder        Создание построителя запроса
+         * @param {Transaction} [transaction]  Транзакция
+         * @promise {Object|undefined}
+         * @private
+         */
+        _write(builder, transaction) {
+            return Promise.try(() => builder().build())
+                .then((query) => {
+                    const execute = (tr) => tr.query(query.sql, query.params)
+                        .then((result) => Array.isArray(result) ? result[0] : result);
+
+                    return transaction ? execute(transaction) : this.connection.onWriteTransaction(execute);
+                });
+        }
+
+        /**
+         * Создать объект из строки результата
+         *
+         * @param {Object} row Строка результата (ключи - поля в нижнем регистре)
+         * @returns {Object}
+         * @private
+         */
+        _create(row) {
+            const data = this._properties ?
+                _.mapKeys(row, (value, column) => this._properties[column.toLowerCase()] || column) :
+                row;
+
+            return DataUtils.prepareObjectMapper(this.factory)([data]);
+        }
+
+        _column(property) {
+            return this.columns && this.columns[property] ? this.columns[property] : property;
+        }
+
+        /**
+         * Поле свойства фильтра или сортировки; свойства, отсутствующие в columns, не допускаются
+         *
+         * @param {String} property  Свойство
+         * @param {String} message   Начало сообщения об ошибке
+         * @returns {String}
+         * @private
+         */
+        _knownColumn(property, message) {
+            if (this.columns && !_.has(this.columns, property)) {
+                throw new Err.BadRequest(`${message}: неизвестное свойство ${property}`);
+            }
+
+            return this._column(property);
+        }
+
+        /**
+         * Преобразовать объект свойств в объект полей таблицы
+         *
+         * @param {Object}  data                Объект свойств
+         * @param {Boolean} [withOperators]     Ключи могут содержать оператор фильтра
+         * @returns {Object}
+         * @private
+         */
+        _toColumns(data, withOperators) {
+            return _.mapKeys(_.omitBy(data, _.isUndefined), (value, key) => {
+                if (!withOperators) {
+                    return this._column(key);
+                }
+
+                const match = FILTER_KEY.exec(key.trim());
+                return this._knownColumn(match[1], 'Неверное условие запроса') + (match[2] || '');
+            });
+        }
+
+        _toInsertColumns(data) {
+            const columns = this._toColumns(data);
+            const primaryKey = this._column(this.primaryKey);
+
+            if (columns[primaryKey] == null && this.generator) {
+                columns[primaryKey] = QueryBuilder.raw(`GEN_ID(${QueryBuilder.quoteIdentifier(this.generator)}, 1)`);
+            }
+
+            return columns;
+        }
+
+        _selectColumns() {
+            return this.columns ? _.values(this.columns) : ['*'];
+        }
+
+        _returningColumns() {
+            return this.columns ? _.values(this.columns) : [this._column(this.primaryKey)];
+        }
+    }
+
+    /**
+     * Разбор сортировки
+     *
+     * @param {String|Array<String>|Object} sort Сортировка
+     * @returns {Array<{property: String, direction: String}>}
+     */
+    function formatSort(sort) {
+        if (!sort) {
+            return [];
+        }
+
+        if (_.isPlainObject(sort)) {
+            return _.map(sort, (direction, property) => ({property, direction}));
+        }
+
+        return _.castArray(sort).map((property) => {
+            return property[0] === '-' ?
+                {property: property.substr(1), direction: 'DESC'} :
+                {property, direction: 'ASC'};
+        });
+    }
+
+    function lowerKeys(object) {
+        return _.mapKeys(object, (value, key) => key.toLowerCase());
+    }
+
+    module.exports = Repository;
+})();
@@ -0,0 +1,110 @@
+(function () {
+    'use strict';
+
+    const Promise = require('bluebird');
+    const Log = require('../log');
+    const Utils = require('./utils');
+
+    // Политика повтора по умолчанию
+    const DEFAULT_POLICY = {
+        attempts: 3,
+        delay: 50,
+        maxDelay: 2000,
+        factor: 2,
+        jitter: 0.5,
+        codes: null,
+        onRetry: null
+    };
+
+    module.exports = {
+        createPolicy,
+        isRetryable,
+        getDelay,
+        run
+    };
+
+    /**
+     * Политика повтора транзакции при конфликте блокировок
+     *
+     * @param {Boolean|Object} [retry]                 true - политика по умолчанию, объект - настройки политики
+     * @param {Number}         [retry.attempts=3]      Максимальное количество попыток (включая первую)
+     * @param {Number}         [retry.delay=50]        Задержка перед второй попыткой, мс
+     * @param {Number}         [retry.maxDelay=2000]   Максимальная задержка, мс
+     * @param {Number}         [retry.factor=2]        Множитель задержки для каждой следующей попытки
+     * @param {Number}         [retry.jitter=0.5]      Доля задержки, на которую она случайно уменьшается (0 - без разброса)
+     * @param {Array<Number>}  [retry.codes]           GDS коды повторяемых ошибок, по умолчанию - конфликты блокировок и deadlock
+     * @param {Function}       [retry.onRetry]         Вызывается перед повтором: (error, attempt, delay)
+     * @returns {Object|null} Политика, или null, если повтор не нужен
+     */
+    function createPolicy(retry) {
+        if (!retry) {
+            return null;
+        }
+
+        return Object.assign({}, DEFAULT_POLICY, retry === true ? {} : retry);
+    }
+
+    /**
+     * Можно ли повторить транзакцию после ошибки
+     *
+     * @param {Object} policy Политика
+     * @param {Error}  error  Ошибка
+     * @returns {Boolean}
+     */
+    function isRetryable(policy, error) {
+        if (policy.codes) {
+            return Boolean(error) && policy.codes.indexOf(error.code) >= 0;
+        }
+
+        return Utils.isLockConflict(error);
+    }
+
+    /**
+     * Задержка перед следующей попыткой: экспоненциальный рост со случайным разбросом
+     *
+     * @param {Object} policy   Политика
+     * @param {Number} attempt  Номер неудачной попытки, начиная с 1
+     * @returns {Number} Задержка, мс
+     */
+    function getDelay(policy, attempt) {
+        const delay = Math.min(policy.maxDelay, policy.delay * Math.pow(policy.factor, attempt - 1));
+        return Math.round(delay * (1 - policy.jitter * Math.random()));
+    }
+
+    /**
+     * Выполнить действие с повтором по политике.
+     * Номер попытки передается в действие; ошибка после последней попытки пробрасывается с полем attempts.
+     *
+     * @param {Object|null}       policy  Политика, null - без повтора
+     * @param {Function<Promise>} action  Действие: (attempt) => Promise
+     * @returns {Promise.<T>}
+     */
+    function run(policy, action) {
+        let attempt = 1;
+
+        const next = () => {
+            return Promise.try(() => action(attempt))
+                .catch((e) => {
+                    if (!policy) {
+                        throw e;
+                    }
+                    if (attempt >= policy.attempts || !isRetryable(policy, e)) {
+                        e.attempts = attempt;
+                        throw e;
+                    }
+
+                    const delay = getDelay(policy, attempt);
+                    Log.warn('Конфликт блокировок, повтор транзакции через %d мс (попытка %d из %d): %s',
+                        delay, attempt + 1, policy.attempts, e.message);
+                    if (policy.onRetry) {
+                        policy.onRetry(e, attempt, delay);
+                    }
+
+                    attempt++;
+                    return Promise.delay(delay).then(next);
+                });
+        };
+
+        return next();
+    }
+})();
@@ -0,0 +1,273 @@
+(function () {
+    'use strict';
+
+    const Promise = require('bluebird');
+    const _ = require('lodash');
+    const QueryBuilder = require('../utils/queryBuilder');
+
+    const quoteIdentifier = QueryBuilder.quoteIdentifier;
+
+    /**
+     * Декларативное изменение схемы БД на пишущей транзакции.
+     * Каждый метод проверяет существование объекта запросом к системным таблицам на этой же транзакции
+     * (так видны объекты, созданные ранее в транзакции) и выполняет DDL только при необходимости,
+     * поэтому повторный вызов безопасен. Имена объектов экранируются как в QueryBuilder.
+     *
+     * Описание поля/домена - строка с типом ('VARCHAR(255) NOT NULL') или объект:
+     *   {type: 'VARCHAR(255)', notNull: true, default: "''", check: 'VALUE > 0'}
+     * default и check - SQL-выражения, подставляются как есть.
+     */
+    class Schema {
+        /**
+         * @param {Transaction} transaction Пишущая транзакция
+         * @constructor
+         */
+        constructor(transaction) {
+            this.transaction = transaction;
+        }
+
+        /**
+         * Создать таблицу
+         *
+         * @param {String}               tableName                   Имя таблицы
+         * @param {Object}               columns                     Поля: {имя: описание поля}
+         * @param {Object}               [options]                   Настройки
+         * @param {String|Array<String>} [options.primaryKey]        Поля первичного ключа
+         * @param {String}               [options.primaryKeyName]    Имя первичного ключа, по умолчанию pk_<tableName>
+         * @promise {Boolean} true - таблица создана, false - таблица уже существовала
+         */
+        createTable(tableName, columns, options) {
+            options = options || {};
+
+            const definitions = _.map(columns,
+                (definition, columnName) => quoteIdentifier(columnName) + ' ' + formatDefinition(definition));
+            if (options.primaryKey) {
+                const primaryKeyName = options.primaryKeyName || 'pk_' + tableName;
+                definitions.push(`CONSTRAINT ${quoteIdentifier(primaryKeyName)} PRIMARY KEY (${formatColumns(options.primaryKey)})`);
+            }
+
+            const sql = `CREATE TABLE ${quoteIdentifier(tableName)} (\n  ${definitions.join(',\n  ')}\n)`;
+            return this._executeUnless(this._exists('tableExists', tableName), sql);
+        }
+
+        /**
+         * Добавить поле в таблицу
+         *
+         * @param {String}        tableName   Имя таблицы
+         * @param {String}        columnName  Имя поля
+         * @param {String|Object} definition  Описание поля
+         * @promise {Boolean} true - поле добавлено, false - поле уже существовало
+         */
+        addColumn(tableName, columnName, definition) {
+            const sql = `ALTER TABLE ${quoteIdentifier(tableName)} ADD ${quoteIdentifier(columnName)} ${formatDefinition(definition)}`;
+            return this._executeUnless(this._exists('fieldExists', tableName, columnName), sql);
+        }
+
+        /**
+         * Удалить поле из таблицы
+         *
+         * @param {String} tableName   Имя таблицы
+         * @param {String} columnName  Имя поля
+         * @promise {Boolean} true - поле удалено, false - поля не было
+         */
+        dropColumn(tableName, columnName) {
+            const sql = `ALTER TABLE ${quoteIdentifier(tableName)} DROP ${quoteIdentifier(columnName)}`;
+            return this._executeIf(this._exists('fieldExists', tableName, columnName), sql);
+        }
+
+        /**
+         * Создать индекс
+         *
+         * @param {String}               indexName             Имя индекса
+         * @param {String}               tableName             Имя таблицы
+         * @param {String|Array<String>} columns               Поля индекса
+         * @param {Object}               [options]             Настройки
+         * @param {Boolean}              [options.unique]      Уникальный индекс
+         * @param {Boolean}              [options.descending]  Индекс по убыванию
+         * @promise {Boolean} true - индекс создан, false - индекс уже существовал
+         */
+        createIndex(indexName, tableName, columns, options) {
+            options = options || {};
+
+            const modifiers = (options.unique ? 'UNIQUE ' : '') + (options.descending ? 'DESCENDING ' : '');
+            const sql = `CREATE ${modifiers}INDEX ${quoteIdentifier(indexName)} ON ${quoteIdentifier(tableName)} ` +
+                `(${formatColumns(columns)})`;
+            return this._executeUnless(this._exists('indexExists', indexName), sql);
+        }
+
+        /**
+         * Создать генератор
+         *
+         * @param {String} generatorName Имя генератора
+         * @promise {Boolean} true - генератор создан, false - генератор уже существовал
+         */
+        createGenerator(generatorName) {
+            const sql = `CREATE GENERATOR ${quoteIdentifier(generatorName)}`;
+            return this._executeUnless(this._exists('generatorExists', generatorName), sql);
+        }
+
+        /**
+         * Создать триггер таблицы
+         *
+         * @param {String}  triggerName         Имя триггера
+         * @param {String}  tableName           Имя таблицы
+         * @param {String}  event               Событие, например 'BEFORE INSERT' или 'AFTER INSERT OR UPDATE'
+         * @param {String}  body                Тело триггера, начиная с AS или DECLARE VARIABLE ...
+         * @param {Object}  [options]           Настройки
+         * @param {Number}  [options.position]  Позиция триггера
+         * @param {Boolean} [options.inactive]  Создать неактивным
+         * @promise {Boolean} true - триггер создан, false - триггер уже существовал
+         */
+        createTrigger(triggerName, tableName, event, body, options) {
+            options = options || {};
+
+            const state = options.inactive ? 'INACTIVE' : 'ACTIVE';
+            const position = options.position != null ? ` POSITION ${Number(options.position)}` : '';
+            const sql = `CREATE TRIGGER ${quoteIdentifier(triggerName)} FOR ${quoteIdentifier(tableName)} ` +
+                `${state} ${event}${position}\n${body.trim()}`;
+            return this._executeUnless(this._exists('triggerExists', triggerName), sql);
+        }
+
+        /**
+         * Добавить внешний ключ
+         *
+         * @param {String}               tableName           Имя таблицы
+         * @param {String}               foreignKeyName      Имя внешнего ключа
+         * @param {String|Array<String>} columns             Поля таблицы
+         * @param {String}               refTableName        Имя таблицы, на которую ссылается ключ
+         * @param {String|Array<String>} refColumns          Поля таблицы, на которую ссылается ключ
+         * @param {Object}               [options]           Настройки
+         * @param {String}               [options.onDelete]  Действие при удалении: CASCADE, SET NULL, SET DEFAULT, NO ACTION
+         * @param {String}               [options.onUpdate]  Действие при изменении: CASCADE, SET NULL, SET DEFAULT, NO ACTION
+         * @promise {Boolean} true - ключ добавлен, false - ключ уже существовал
+         */
+        addForeignKey(tableName, foreignKeyName, columns, refTableName, refColumns, options) {
+            options = options || {};
+
+            let sql = `ALTER TABLE ${quoteIdentifier(tableName)} ADD CONSTRAINT ${quoteIdentifier(foreignKeyName)} ` +
+                `FOREIGN KEY (${formatColumns(columns)}) ` +
+                `REFERENCES ${quoteIdentifier(refTableName)} (${formatColumns(refColumns)})`;
+            if (options.onDelete) {
+                sql += ` ON DELETE ${options.onDelete}`;
+            }
+            if (options.onUpdate) {
+                sql += ` ON UPDATE ${options.onUpdate}`;
+            }
+
+            return this._executeUnless(this._exists('foreignKeyExists', tableName, foreignKeyName), sql);
+        }
+
+        /**
+         * Создать домен
+         *
+         * @param {String}        domainName  Имя домена
+         * @param {String|Object} definition  Описание домена
+         * @promise {Boolean} true - домен создан, false - домен уже существовал
+         */
+        createDomain(domainName, definition) {
+            const sql = `CREATE DOMAIN ${quoteIdentifier(domainName)} AS ${formatDefinition(definition)}`;
+            return this._executeUnless(this._exists('domainExists', domainName), sql);
+        }
+
+        /**
+         * Создать исключение
+         *
+         * @param {String} exceptionName  Имя исключения
+         * @param {String} message        Текст исключения
+         * @promise {Boolean} true - исключение создано, false - исключение уже существовало
+         */
+        createException(exceptionName, message) {
+            const sql = `CREATE EXCEPTION ${quoteIdentifier(exceptionName)} ${quoteString(message)}`;
+            return this._executeUnless(this._exists('exceptionExists', exceptionName), sql);
+        }
+
+        /**
+         * Проверить существование объекта методом Metadata на транзакции схемы.
+         * Запрос проверки не попадает в журнал запросов транзакции (dry run миграций).
+         *
+         * @param {String}    check  Метод проверки Metadata, например tableExists
+         * @param {...String} names  Имена объектов, как они указаны в DDL
+         * @promise {Boolean}
+         * @private
+         */
+        _exists(check) {
+            const names = _.tail(_.toArray(arguments));
+            const metadata = this.transaction.connection.metadata;
+
+            return metadata[check].apply(metadata, names.concat(this.transaction));
+        }
+
+        /**
+         * Выполнить запрос, если объект не существует
+         *
+         * @param {Promise<Boolean>} existsPromise  Проверка существования объекта
+         * @param {String}           sql            DDL запрос
+         * @promise {Boolean} Выполнен ли запрос
+         * @private
+         */
+        _executeUnless(existsPromise, sql) {
+            return Promise.resolve(existsPromise)
+                .then((exists) => {
+                    if (exists) {
+                        return false;
+                    }
+
+                    return this.transaction.query(sql).then(() => true);
+                });
+        }
+
+        /**
+         * Выполнить запрос, если объект существует
+         *
+         * @param {Promise<Boolean>} existsPromise  Проверка существования объекта
+         * @param {String}           sql            DDL запрос
+         * @promise {Boolean} Выполнен ли запрос
+         * @private
+         */
+        _executeIf(existsPromise, sql) {
+            return Promise.resolve(existsPromise)
+                .then((exists) => {
+                    if (!exists) {
+                        return false;
+                    }
+
+                    return this.transaction.query(sql).then(() => true);
+                });
+        }
+    }
+
+    /**
+     * Описание поля или домена в DDL
+     *
+     * @param {String|Object} definition Описание
+     * @returns {String}
+     */
+    function formatDefinition(definition) {
+        if (_.isString(definition)) {
+            return definition;
+        }
+
+        let result = definition.type;
+        if (definition.default != null) {
+            result += ' DEFAULT ' + definition.default;
+        }
+        if (definition.notNull) {
+            result += ' NOT NULL';
+        }
+        if (definition.check) {
+            result += ' CHECK (' + definition.check + ')';
+        }
+
+        return result;
+    }
+
+    function formatColumns(columns) {
+        return _.castArray(columns).map(quoteIdentifier).join(', ');
+    }
+
+    function quoteString(value) {
+        return "'" + String(value).replace(/'/g, "''") + "'";
+    }
+
+    module.exports = Schema;
+})();
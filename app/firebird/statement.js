@@ -2,6 +2,10 @@
     'use strict';
 
     const Promise = require('bluebird');
+    const _ = require('lodash');
+    const QueryStream = require('./stream');
+    const Params = require('./params');
+    const Instrumentation = require('./instrumentation');
     const utils = require('./utils');
 
     // Типы выражений (взято из node-firebird)
@@ -17,35 +21,60 @@
          * @param connection  Соединение
          * @param transactionWrapper Транзакция
          * @param driverStatement   FB prepared statement
+         * @param [sql]             Текст запроса
+         * @param [names]           Имена параметров запроса по порядку, если запрос содержал именованные параметры
          * @constructor
          */
-        constructor(connection, transactionWrapper, driverStatement) {
+        constructor(connection, transactionWrapper, driverStatement, sql, names) {
             this.connection = connection;
+            this.transactionWrapper = transactionWrapper;
             this.transaction = transactionWrapper.transaction;
             this.statement = driverStatement;
+            this.sql = sql;
+            this.names = names || [];
+            /** @member {Boolean} Открыт ли курсор (SELECT выполнен, но statement не закрыт) */
+            this.cursorOpen = false;
+            /** @member {StatementCache} Кэш, которому принадлежит statement */
+            this.cache = null;
+            /** @member {Function} Вызывается один раз после уничтожения statement (например, освобождение читающей транзакции) */
+            this.onDrop = null;
         }
 
         /**
-         * Выполнение prepared statement
+         * Выполнение prepared statement.
+         * Курсор предыдущего выполнения SELECT закрывается автоматически.
          *
-         * @param params       Параметры выполнения
+         * @param params              Параметры выполнения: массив, или объект со значениями именованных параметров
+         * @param [options]           Настройки
+         * @param [options.timeout]   Время ожидания выполнения, мс (по умолчанию - настройка соединения)
          * @promise {data}
          */
-        execute(params) {
-            return new Promise((resolve, reject) => {
+        execute(params, options) {
+            options = options || {};
+
+            try {
+                params = this._bind(params);
+            } catch (e) {
+                return Promise.reject(e);
+            }
+            this.transactionWrapper._record(this.sql, params);
+
+            const execution = this.closeCursor().then(() => new Promise((resolve, reject) => {
                 this.statement.execute(this.transaction, params, (err) => {
                     if (err) {
-                        return reject(err);
+                        return reject(utils.handleError(this.connection, err, this.sql));
                     }
 
                     switch (this.statement.type) {
                         // SELECT выражение
                         case ISC_INFO_SQL_STMT_SELECT:
+                            this.cursorOpen = true;
+
                             // Если выражение что-то возвращает, то заберем результат ...
                             if (this.statement.output && this.statement.output.length) {
                                 this.statement.fetchAll(this.transaction, (err, ret) => {
                                     if (err) {
-                                        return reject(err);
+                                        return reject(utils.handleError(this.connection, err, this.sql));
                                     }
 
                                     resolve(ret);
@@ -61,7 +90,7 @@
                             if (this.statement.output.length) {
                                 this.statement.fetch(this.transaction, 1, (err, ret) => {
                                     if (err) {
-                                        return reject(err);
+                                        return reject(utils.handleError(this.connection, err, this.sql));
                                     }
 
                                     resolve(ret.data[0].data);
@@ -78,25 +107,128 @@
 
 
                 }, {asObject: true, asStream: false});
+            }));
+
+            return Instrumentation.instrument(this.transactionWrapper, this.sql, params,
+                utils.withTimeout(this.connection, execution, options.timeout, this.sql));
+        }
+
+        /**
+         * Является ли выражение SELECT запросом (результат можно забирать порциями через open/fetch)
+         *
+         * @returns {boolean}
+         */
+        isSelect() {
+            return this.statement.type === ISC_INFO_SQL_STMT_SELECT;
+        }
+
+        /**
+         * Выполнение SELECT prepared statement без получения результата: открывает курсор для fetch.
+         * После получения результата курсор нужно закрыть методом close.
+         *
+         * @param params       Параметры выполнения
+         * @promise {}
+         */
+        open(params) {
+            return this.closeCursor().then(() => new Promise((resolve, reject) => {
+                params = this._bind(params);
+
+                this.statement.execute(this.transaction, params, (err) => {
+                    if (err) {
+                        return reject(utils.handleError(this.connection, err, this.sql));
+                    }
+
+                    this.cursorOpen = true;
+                    resolve();
+                }, {asObject: true, asStream: false});
+            }));
+        }
+
+        /**
+         * Получить очередную порцию строк открытого курсора
+         *
+         * @param {Number} count  Количество строк
+         * @promise {{rows: Array, fetched: Boolean}} fetched - все строки получены
+         */
+        fetch(count) {
+            return new Promise((resolve, reject) => {
+                this.statement.fetch(this.transaction, count, (err, ret) => {
+                    if (err) {
+                        return reject(utils.handleError(this.connection, err, this.sql));
+                    }
+
+                    resolve({
+                        rows: (ret.data || []).map((row) => row.data),
+                        fetched: Boolean(ret.fetched)
+                    });
+                });
             });
         }
 
+        /**
+         * Выполнение prepared statement с чтением результата через поток объектов.
+         * Строки забираются с сервера порциями по мере чтения, курсор закрывается после чтения или уничтожения потока.
+         *
+         * @param {Array}  [params]             Параметры выполнения
+         * @param {Object} [options]            Настройки
+         * @param {Number} [options.batchSize]  Количество строк, забираемых с сервера за один раз
+         * @returns {QueryStream} Readable поток строк (поддерживает for await)
+         */
+        stream(params, options) {
+            return new QueryStream(() => this, params, options);
+        }
+
+        /**
+         * Преобразование объекта значений именованных параметров в массив
+         *
+         * @param {Array|Object} params Параметры выполнения
+         * @returns {Array}
+         * @private
+         */
+        _bind(params) {
+            if (!_.isPlainObject(params)) {
+                return params;
+            }
+
+            return Params.toPositional(this.names, params);
+        }
+
         /**
          * Закрыть выполненный prepared statement
          *
          * @promise {}
          */
         close() {
-            return Promise.promisify(this.statement.close, {context: this.statement})();
+            return Promise.promisify(this.statement.close, {context: this.statement})()
+                .then(() => {
+                    this.cursorOpen = false;
+                });
         }
 
         /**
-         * Уничтожить prepared statement
+         * Уничтожить prepared statement.
+         * Statement из кэша соединения не уничтожается, а возвращается в кэш.
          *
          * @promise {}
          */
         drop() {
-            return Promise.promisify(this.statement.drop, {context: this.statement})();
+            const onDrop = this.onDrop;
+            this.onDrop = null;
+
+            const dropping = this.cache ?
+                this.cache.release(this) :
+                Promise.promisify(this.statement.drop, {context: this.statement})();
+            return onDrop ? Promise.resolve(dropping).finally(onDrop) : dropping;
+        }
+
+        /**
+         * Закрыть курсор, если он открыт (выполнен SELECT и statement не закрыт);
+         * statement без открытого курсора не закрывается
+         *
+         * @promise {}
+         */
+        closeCursor() {
+            return this.cursorOpen ? this.close() : Promise.resolve();
         }
     }
 
@@ -0,0 +1,149 @@
+(function () {
+    'use strict';
+
+    const Readable = require('stream').Readable;
+    const Promise = require('bluebird');
+
+    // Количество строк, забираемых с сервера за один раз
+    const DEFAULT_BATCH_SIZE = 200;
+
+    /**
+     * Поток строк результата prepared statement.
+     * Строки забираются с сервера порциями по batchSize по мере чтения из потока (с учетом backpressure),
+     * курсор закрывается после чтения всех строк или при уничтожении потока.
+     * Поток поддерживает асинхронную итерацию: for await (const row of stream).
+     */
+    class QueryStream extends Readable {
+        /**
+         * @param {Function<Promise<PreparedStatement>>} getStatement        Получение prepared statement
+         * @param {Array}                                params              Параметры выполнения
+         * @param {Object}                               [options]           Настройки
+         * @param {Number}                               [options.batchSize] Количество строк, забираемых за один раз
+         * @param {Boolean}                              [options.drop]      Уничтожить prepared statement после закрытия курсора
+         * @constructor
+         */
+        constructor(getStatement, params, options) {
+            options = options || {};
+            const batchSize = options.batchSize || DEFAULT_BATCH_SIZE;
+
+            super({objectMode: true, highWaterMark: batchSize});
+
+            this.batchSize = batchSize;
+            this.params = params;
+            this.drop = Boolean(options.drop);
+
+            this._getStatement = getStatement;
+            this._statement = null;
+            this._executed = false;
+            this._fetching = false;
+            this._closed = false;
+        }
+
+        _read() {
+            if (this._fetching) {
+                return;
+            }
+            this._fetching = true;
+
+            Promise.resolve()
+                .then(() => this._execute())
+                .then((rows) => {
+                    // Результат уже получен целиком (не SELECT выражение), или поток уже уничтожен
+                    if (rows || this.destroyed) {
+                        return {data: rows || [], fetched: true};
+                    }
+
+                    return this._fetch();
+                })
+                .then((result) => {
+                    this._fetching = false;
+                    // Поток уничтожен, пока выполнялся запрос: при уничтожении statement еще не был получен
+                    if (this.destroyed) {
+                        return this._close();
+                    }
+
+                    let more = true;
+                    result.data.forEach((row) => {
+                        more = this.push(row);
+                    });
+
+                    if (result.fetched) {
+                        return this._close().then(() => this.push(null));
+                    }
+
+                    // Читатель готов принять еще строки, а push не вызывался - забираем следующую порцию
+                    if (more && result.data.length === 0) {
+                        this._read();
+                    }
+                })
+                .catch((e) => {
+                    this._fetching = false;
+                    this.destroy(e);
+                });
+        }
+
+        _destroy(error, callback) {
+            this._close()
+                .then(() => callback(error), (e) => callback(error || e));
+        }
+
+        /**
+         * Выполнение statement при первом чтении
+         *
+         * @promise {Array|undefined} Результат выполнения, если выражение не является SELECT
+         * @private
+         */
+        _execute() {
+            if (this._executed) {
+                return Promise.resolve();
+            }
+            this._executed = true;
+
+            return Promise.resolve(this._getStatement())
+                .then((statement) => {
+                    this._statement = statement;
+
+                    if (!statement.isSelect()) {
+                        return statement.execute(this.params)
+                            .then((result) => Array.isArray(result) ? result : [result]);
+                    }
+
+                    return statement.open(this.params);
+                });
+        }
+
+        /**
+         * Забрать очередную порцию строк
+         *
+         * @promise {{data: Array, fetched: Boolean}}
+         * @private
+         */
+        _fetch() {
+            return this._statement.fetch(this.batchSize)
+                .then((result) => ({data: result.rows, fetched: result.fetched}));
+        }
+
+        /**
+         * Закрыть курсор и, при необходимости, уничтожить statement
+         *
+         * @promise
+         * @private
+         */
+        _close() {
+            if (this._closed || !this._statement) {
+                return Promise.resolve();
+            }
+            this._closed = true;
+
+            const statement = this._statement;
+            return statement.closeCursor()
+                .then(() => {
+                    if (this.drop) {
+                        return statement.drop();
+                    }
+                });
+        }
+    }
+
+    module.exports = QueryStream;
+})();
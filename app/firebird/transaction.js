@@ -2,9 +2,35 @@
     'use strict';
 
     const Promise = require('bluebird');
+    const _ = require('lodash');
     const PreparedStatement = require('./statement');
+    const QueryStream = require('./stream');
+    const Params = require('./params');
+    const Schema = require('./schema');
+    const Instrumentation = require('./instrumentation');
+    const Errors = require('./errors');
     const utils = require('./utils');
 
+    // Счетчик транзакций для идентификации в кэше prepared statements
+    let transactionSequence = 0;
+
+    // Количество строк в порции пакетного выполнения по умолчанию
+    const DEFAULT_BATCH_CHUNK_SIZE = 1000;
+    // Количество строк в одном EXECUTE BLOCK по умолчанию
+    const DEFAULT_BLOCK_CHUNK_SIZE = 100;
+    // Максимальная длина текста EXECUTE BLOCK (ограничение Firebird до 3.0 - 64 Кб)
+    const MAX_BLOCK_LENGTH = 60 * 1024;
+
+    // Коды ошибок Firebird в данных строки: переполнение, усечение строки, ошибка преобразования
+    const DATA_ERROR_CODES = [
+        /* isc_arith_except */ 335544321,
+        /* isc_convert_error */ 335544334,
+        /* isc_string_truncation */ 335544914
+    ];
+
+    // Допустимое имя точки сохранения
+    const SAVEPOINT_NAME = /^[A-Za-z][A-Za-z0-9_$]*$/;
+
     /**
      * Обертка над Firebird транзакцией
      */
@@ -12,30 +38,232 @@
         /**
          * @param connection  Соединение
          * @param driverTransaction Firebird транзакция
+         * @param [kind]      Вид транзакции: read, write, snapshot, custom
          * @constructor
          */
-        constructor(connection, driverTransaction) {
+        constructor(connection, driverTransaction, kind) {
             this.connection = connection;
             this.transaction = driverTransaction;
+            this.kind = kind || null;
+            this.id = ++transactionSequence;
+            /** @member {Array<{sql: String, params: Array}>} Журнал выполненных запросов, если включена запись */
+            this.script = null;
+            /** @member {Number} Счетчик автоматически именуемых точек сохранения */
+            this.savepointCounter = 0;
         }
 
         /**
-         * Выполнить запрос на указанной транзакции
+         * Декларативное изменение схемы БД на этой транзакции
+         *
+         * @returns {Schema}
+         */
+        get schema() {
+            if (!this._schema) {
+                this._schema = new Schema(this);
+            }
+            return this._schema;
+        }
+
+        /**
+         * Включить запись выполняемых на транзакции запросов (включая запросы prepared statement)
+         *
+         * @returns {Array<{sql: String, params: Array}>} Журнал запросов, пополняемый по мере выполнения
+         */
+        startRecording() {
+            this.script = this.script || [];
+            return this.script;
+        }
+
+        /**
+         * Записать запрос в журнал, если включена запись
          *
          * @param {String} sql     Текст запроса
          * @param {Array}  params  Массив параметров запроса
+         * @private
+         */
+        _record(sql, params) {
+            if (this.script) {
+                this.script.push({sql, params: params || []});
+            }
+        }
+
+        /**
+         * Выполнить запрос на указанной транзакции
+         *
+         * @param {String}       sql                Текст запроса
+         * @param {Array|Object} params             Массив параметров запроса, или объект со значениями именованных параметров (:name)
+         * @param {Object}       [options]          Настройки
+         * @param {Number}       [options.timeout]  Время ожидания выполнения, мс (по умолчанию - настройка соединения)
+         * @param {Boolean}      [options.record]   false - не записывать запрос в журнал (служебные запросы)
          * @returns {Promise<data>}
          */
-        query(sql, params) {
-            return new Promise((resolve, reject) => {
-                this.transaction.query(sql, params, (err, result, output, isArray) => {
-                    if (err) {
-                        return reject(err);
+        query(sql, params, options) {
+            options = options || {};
+
+            return Promise.try(() => Params.bind(sql, params))
+                .then((bound) => {
+                    if (options.record !== false) {
+                        this._record(bound.sql, bound.params);
                     }
 
-                    resolve(result);
+                    const execution = new Promise((resolve, reject) => {
+                        this.transaction.query(bound.sql, bound.params, (err, result, output, isArray) => {
+                            if (err) {
+                                return reject(utils.handleError(this.connection, err, bound.sql));
+                            }
+
+                            resolve(result);
+                        });
+                    });
+                    return Instrumentation.instrument(this, bound.sql, bound.params,
+                        utils.withTimeout(this.connection, execution, options.timeout, bound.sql));
+                });
+        }
+
+        /**
+         * Выполнить запрос на транзакции с чтением результата через поток объектов.
+         * Prepared statement создается при первом чтении и уничтожается после чтения всех строк или уничтожения потока.
+         *
+         * @param {String}       sql                  Текст запроса
+         * @param {Array|Object} [params]             Массив параметров запроса, или объект со значениями именованных параметров
+         * @param {Object}       [options]            Настройки
+         * @param {Number}       [options.batchSize]  Количество строк, забираемых с сервера за один раз
+         * @returns {QueryStream} Readable поток строк (поддерживает for await)
+         */
+        queryStream(sql, params, options) {
+            return new QueryStream(() => this.prepareStatement(sql), params, Object.assign({}, options, {drop: true}));
+        }
+
+        /**
+         * Пакетное выполнение запроса: statement подготавливается один раз и выполняется для каждого набора параметров.
+         * Ошибка данных строки (нарушение ограничения, пользовательское исключение, ошибка преобразования значения)
+         * не прерывает выполнение: изменения ошибочной строки откатываются сервером, ошибки возвращаются с индексами строк.
+         * Прочие ошибки (потеря соединения, таймаут, конфликт блокировок) прерывают выполнение.
+         * Строки отправляются на сервер по одной; порции chunkSize нужны только для того,
+         * чтобы длинный пакет не занимал event loop.
+         *
+         * @param {String}              sql                             Текст запроса
+         * @param {Array<Array|Object>} paramsList                      Наборы параметров, по одному на строку
+         * @param {Object}              [options]                       Настройки
+         * @param {Number}              [options.chunkSize=1000]        Количество строк, после которого управление отдается
+         *                                                              event loop (на обмен с сервером не влияет)
+         * @param {Number}              [options.commitRetainingEvery]  Выполнять commitRetaining каждые N строк
+         * @promise {{total: Number, executed: Number, failed: Array<{index: Number, error: Error}>, commits: Number}}
+         */
+        executeBatch(sql, paramsList, options) {
+            options = options || {};
+
+            const chunkSize = options.chunkSize || DEFAULT_BATCH_CHUNK_SIZE;
+            const report = createBatchReport(paramsList);
+            const commit = this._createBatchCommit(options.commitRetainingEvery, report);
+
+            return this.prepareStatement(sql)
+                .then((statement) => {
+                    return Promise.each(_.chunk(paramsList, chunkSize), (chunk, chunkIndex) => {
+                        return Promise.each(chunk, (params, i) => {
+                            const index = chunkIndex * chunkSize + i;
+
+                            return statement.execute(params)
+                                .then(() => {
+                                    report.executed++;
+                                })
+                                .catch(isRowError, (e) => {
+                                    report.failed.push({index, error: e});
+                                })
+                                .then(() => commit(1));
+                        })
+                            .then(() => Promise.delay(0));
+                    })
+                        .finally(() => statement.drop());
+                })
+                .then(() => report);
+        }
+
+        /**
+         * Пакетное выполнение запроса, упаковывающее строки в EXECUTE BLOCK для сокращения обращений к серверу.
+         * Значения параметров подставляются в текст блока в виде литералов (поддерживаются null, числа, строки, boolean и даты).
+         * Если блок превысил ограничения Firebird или нарушил ограничения данных, то его строки выполняются по одной,
+         * чтобы определить ошибочные; прочие ошибки (потеря соединения, таймаут, конфликт блокировок) прерывают выполнение.
+         *
+         * @param {String}              sql                             Текст запроса (INSERT, UPDATE, DELETE, UPDATE OR INSERT, MERGE)
+         * @param {Array<Array|Object>} paramsList                      Наборы параметров, по одному на строку
+         * @param {Object}              [options]                       Настройки
+         * @param {Number}              [options.chunkSize=100]         Максимальное количество строк в одном блоке
+         * @param {Number}              [options.commitRetainingEvery]  Выполнять commitRetaining после блока, если с прошлого
+         *                                                              коммита выполнено не менее N строк
+         * @promise {{total: Number, executed: Number, failed: Array<{index: Number, error: Error}>, commits: Number}}
+         */
+        executeBlockBatch(sql, paramsList, options) {
+            options = options || {};
+
+            const chunkSize = options.chunkSize || DEFAULT_BLOCK_CHUNK_SIZE;
+            const report = createBatchReport(paramsList);
+            const commit = this._createBatchCommit(options.commitRetainingEvery, report);
+            sql = sql.trim().replace(/;$/, '');
+
+            return Promise.try(() => {
+                // Формируем блоки с учетом количества строк и длины текста
+                const blocks = [];
+                let block = null;
+
+                paramsList.forEach((params, index) => {
+                    const bound = Params.bind(sql, params);
+                    const statement = Params.inline(bound.sql, bound.params) + ';\n';
+
+                    if (!block || block.rows.length >= chunkSize || block.length + statement.length > MAX_BLOCK_LENGTH) {
+                        block = {start: index, rows: [], statements: [], length: 0};
+                        blocks.push(block);
+                    }
+                    block.rows.push(params);
+                    block.statements.push(statement);
+                    block.length += statement.length;
                 });
-            });
+
+                return blocks;
+            })
+                .then((blocks) => Promise.each(blocks, (block) => {
+                    return this.query('EXECUTE BLOCK AS\nBEGIN\n' + block.statements.join('') + 'END')
+                        .then(() => {
+                            report.executed += block.rows.length;
+                        })
+                        .catch(isRowByRowRecoverable, () => {
+                            // Блок выполняется атомарно - повторим его строки по одной
+                            return this.executeBatch(sql, block.rows)
+                                .then((blockReport) => {
+                                    report.executed += blockReport.executed;
+                                    blockReport.failed.forEach((failure) => {
+                                        report.failed.push({index: block.start + failure.index, error: failure.error});
+                                    });
+                                });
+                        })
+                        .then(() => commit(block.rows.length));
+                }))
+                .then(() => report);
+        }
+
+        /**
+         * Счетчик строк пакетного выполнения с вызовом commitRetaining
+         *
+         * @param {Number} every   Количество строк между коммитами (не задано - без коммитов)
+         * @param {Object} report  Отчет о выполнении
+         * @returns {Function<Promise>} (rows) => Promise
+         * @private
+         */
+        _createBatchCommit(every, report) {
+            let rows = 0;
+
+            return (count) => {
+                rows += count;
+                if (!every || rows < every) {
+                    return Promise.resolve();
+                }
+
+                rows = 0;
+                return this.commitRetaining()
+                    .then(() => {
+                        report.commits++;
+                    });
+            };
         }
 
         /**
@@ -44,7 +272,15 @@
          * @returns {Promise}
          */
         commit() {
-            return Promise.promisify(this.transaction.commit, {context: this.transaction})();
+            if (this._isConnectionBroken()) {
+                return Promise.reject(this.connection.brokenReason);
+            }
+
+            return this._invalidateStatements()
+                .then(() => Promise.promisify(this.transaction.commit, {context: this.transaction})())
+                .catch((e) => {
+                    throw utils.handleError(this.connection, e);
+                });
         }
 
         /**
@@ -53,7 +289,10 @@
          * @returns {Promise}
          */
         commitRetaining() {
-            return Promise.promisify(this.transaction.commitRetaining, {context: this.transaction})();
+            return Promise.promisify(this.transaction.commitRetaining, {context: this.transaction})()
+                .catch((e) => {
+                    throw utils.handleError(this.connection, e);
+                });
         }
 
         /**
@@ -62,22 +301,154 @@
          * @returns {Promise}
          */
         rollback() {
-            return Promise.promisify(this.transaction.rollback, {context: this.transaction})();
+            // Сломанное соединение занято зависшим запросом, транзакция откатится при его закрытии
+            if (this._isConnectionBroken()) {
+                return Promise.resolve();
+            }
+
+            return this._invalidateStatements()
+                .then(() => Promise.promisify(this.transaction.rollback, {context: this.transaction})());
+        }
+
+        /**
+         * Уничтожить закэшированные prepared statements этой транзакции
+         *
+         * @returns {Promise}
+         * @private
+         */
+        _invalidateStatements() {
+            const cache = this.connection && this.connection.statementCache;
+            return cache ? cache.invalidate(this) : Promise.resolve();
+        }
+
+        _isConnectionBroken() {
+            return Boolean(this.connection && this.connection.isBroken && this.connection.isBroken());
+        }
+
+        /**
+         * Создать точку сохранения
+         *
+         * @param {String} name Имя точки сохранения
+         * @returns {Promise}
+         */
+        savepoint(name) {
+            return this._savepointQuery('SAVEPOINT', name);
+        }
+
+        /**
+         * Освободить точку сохранения (изменения после нее остаются в транзакции)
+         *
+         * @param {String} name Имя точки сохранения
+         * @returns {Promise}
+         */
+        releaseSavepoint(name) {
+            return this._savepointQuery('RELEASE SAVEPOINT', name);
         }
 
         /**
-         * Создание prepared statement
+         * Откатить изменения, сделанные после точки сохранения
+         *
+         * @param {String} name Имя точки сохранения
+         * @returns {Promise}
+         */
+        rollbackToSavepoint(name) {
+            return this._savepointQuery('ROLLBACK TO SAVEPOINT', name);
+        }
+
+        /**
+         * Выполнить действия внутри автоматически именуемой точки сохранения.
+         * При ошибке откатываются только изменения этих действий, ошибка пробрасывается дальше,
+         * транзакция остается активной. Вызовы могут быть вложенными.
+         *
+         * @param {Function<Promise>} action Действия: (transaction) => Promise
+         * @returns {Promise.<T>}
+         */
+        nested(action) {
+            const name = 'sp_nested_' + (++this.savepointCounter);
+
+            return this.savepoint(name)
+                .then(() => {
+                    return Promise.try(() => action(this))
+                        .then((result) => {
+                            return this.releaseSavepoint(name)
+                                .then(() => result);
+                        })
+                        .catch((e) => {
+                            return this.rollbackToSavepoint(name)
+                                .then(() => this.releaseSavepoint(name))
+                                .finally(() => {
+                                    throw e;
+                                });
+                        });
+                });
+        }
+
+        /**
+         * Выполнить команду точки сохранения
+         *
+         * @param {String} command  Команда
+         * @param {String} name     Имя точки сохранения
+         * @returns {Promise}
+         * @private
+         */
+        _savepointQuery(command, name) {
+            if (!SAVEPOINT_NAME.test(name || '')) {
+                return Promise.reject(new Error(`Неверное имя точки сохранения: ${name}`));
+            }
+
+            return this.query(`${command} ${name}`);
+        }
+
+        /**
+         * Создание prepared statement.
+         * Запрос может содержать именованные параметры (:name), значения которых передаются в execute объектом.
          *
          * @param sql Текст запроса
          * @returns {Promise<PreparedStatement>}
          */
         prepareStatement(sql) {
-            return Promise.promisify(this.transaction.newStatement, {context: this.transaction})(sql)
+            const parsed = Params.parse(sql);
+
+            return Promise.promisify(this.transaction.newStatement, {context: this.transaction})(parsed.sql)
                 .then((statement) => {
-                    return new PreparedStatement(this.connection, this, statement);
+                    return new PreparedStatement(this.connection, this, statement, parsed.sql, parsed.names);
                 });
         }
     }
 
+    function createBatchReport(paramsList) {
+        return {
+            total: paramsList.length,
+            executed: 0,
+            failed: [],
+            commits: 0
+        };
+    }
+
+    /**
+     * Можно ли локализовать ошибку EXECUTE BLOCK построчным выполнением: блок превысил ограничения Firebird
+     * или одна из строк нарушила ограничения данных
+     *
+     * @param {Error} error Ошибка выполнения блока
+     * @returns {boolean}
+     */
+    function isRowByRowRecoverable(error) {
+        return utils.isImplementationLimit(error) || isRowError(error);
+    }
+
+    /**
+     * Относится ли ошибка к данным отдельной строки (после нее пакетное выполнение можно продолжить)
+     *
+     * @param {Error} error Ошибка выполнения строки
+     * @returns {boolean}
+     */
+    function isRowError(error) {
+        return error instanceof Errors.UniqueViolation ||
+            error instanceof Errors.ForeignKeyViolation ||
+            error instanceof Errors.CheckConstraintViolation ||
+            error instanceof Errors.UserException ||
+            DATA_ERROR_CODES.indexOf((error.cause || error).code) >= 0;
+    }
+
     module.exports = Transaction;
 })();
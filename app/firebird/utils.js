@@ -1,9 +1,92 @@
 (function() {
     'use strict';
 
+    const Promise = require('bluebird');
+    const Errors = require('./errors');
+
+    // Коды ошибок Firebird, возникающих при конфликте блокировок
+    const LOCK_CONFLICT_CODES = [
+        /* isc_deadlock */ 335544336,
+        /* isc_lock_conflict */ 335544345,
+        /* isc_update_conflict */ 335544451,
+        /* isc_concurrent_transaction */ 335544878
+    ];
+
+    // Коды ошибок Firebird о превышении ограничений реализации (размер запроса, количество контекстов)
+    const IMPLEMENTATION_LIMIT_CODES = [
+        /* isc_imp_exc */ 335544382,
+        /* isc_too_many_contexts */ 335544800
+    ];
+
+    // Коды параметров транзакции (isc_tpb_*)
+    const TPB = {
+        version3: 3,
+        consistency: 1,
+        concurrency: 2,
+        shared: 3,
+        protected: 4,
+        exclusive: 5,
+        wait: 6,
+        nowait: 7,
+        read: 8,
+        write: 9,
+        lockRead: 10,
+        lockWrite: 11,
+        readCommitted: 15,
+        recVersion: 17,
+        noRecVersion: 18,
+        noAutoUndo: 20,
+        lockTimeout: 21
+    };
+
+    // Уровни изоляции транзакции
+    const ISOLATION_LEVELS = {
+        readCommitted: [TPB.readCommitted, TPB.recVersion],
+        readCommittedNoRecVersion: [TPB.readCommitted, TPB.noRecVersion],
+        snapshot: [TPB.concurrency],
+        snapshotTableStability: [TPB.consistency]
+    };
+
+    // Типы полей (rdb$fields.rdb$field_type)
+    const FIELD_TYPES = {
+        7: 'SMALLINT',
+        8: 'INTEGER',
+        9: 'QUAD',
+        10: 'FLOAT',
+        12: 'DATE',
+        13: 'TIME',
+        14: 'CHAR',
+        16: 'BIGINT',
+        23: 'BOOLEAN',
+        27: 'DOUBLE PRECISION',
+        35: 'TIMESTAMP',
+        37: 'VARCHAR',
+        40: 'CSTRING',
+        261: 'BLOB'
+    };
+
+    // Действия триггеров (rdb$triggers.rdb$trigger_type)
+    const TRIGGER_ACTIONS = ['', 'INSERT', 'UPDATE', 'DELETE'];
+    const DB_TRIGGER_EVENTS = {
+        8192: 'ON CONNECT',
+        8193: 'ON DISCONNECT',
+        8194: 'ON TRANSACTION START',
+        8195: 'ON TRANSACTION COMMIT',
+        8196: 'ON TRANSACTION ROLLBACK'
+    };
+
     module.exports = {
         parseUrl,
-        parseServerVersion
+        parseServerVersion,
+        isLockConflict,
+        isUniqueViolation,
+        isImplementationLimit,
+        buildTpb,
+        withTimeout,
+        handleError,
+        formatFieldType,
+        formatTriggerEvent,
+        readBlob
     };
 
     /**
@@ -41,6 +124,238 @@
         return result;
     }
 
+    /**
+     * Сформировать параметры транзакции (TPB)
+     *
+     * @param {Object}               [options]                            Настройки транзакции
+     * @param {String}               [options.isolation=readCommitted]    Уровень изоляции: readCommitted, readCommittedNoRecVersion,
+     *                                                                    snapshot, snapshotTableStability
+     * @param {Boolean}              [options.readOnly]                   Только чтение
+     * @param {Boolean}              [options.wait]                       Ожидать освобождения блокировок (по умолчанию nowait)
+     * @param {Number}               [options.lockTimeout]                Время ожидания блокировки, секунд (включает wait)
+     * @param {Boolean}              [options.noAutoUndo]                 Не вести журнал отмены изменений (isc_tpb_no_auto_undo)
+     * @param {Array<String|Object>} [options.reserve]                    Резервирование таблиц: имя таблицы или
+     *                                                                    {table, lock: 'read'|'write', mode: 'shared'|'protected'|'exclusive'},
+     *                                                                    по умолчанию shared read
+     * @returns {Array<Number>}
+     */
+    function buildTpb(options) {
+        options = options || {};
+
+        const isolation = ISOLATION_LEVELS[options.isolation || 'readCommitted'];
+        if (!isolation) {
+            throw new Error(`Неизвестный уровень изоляции транзакции: ${options.isolation}`);
+        }
+
+        const tpb = [TPB.version3, options.readOnly ? TPB.read : TPB.write];
+
+        if (options.lockTimeout != null) {
+            const lockTimeout = Number(options.lockTimeout);
+            if (options.wait === false || !Number.isInteger(lockTimeout) || lockTimeout <= 0) {
+                throw new Error(`Неверное время ожидания блокировки: ${options.lockTimeout}`);
+            }
+
+            tpb.push(TPB.wait, TPB.lockTimeout, 4);
+            for (let i = 0; i < 4; i++) {
+                tpb.push(Math.floor(lockTimeout / Math.pow(256, i)) % 256);
+            }
+        } else {
+            tpb.push(options.wait ? TPB.wait : TPB.nowait);
+        }
+
+        tpb.push.apply(tpb, isolation);
+
+        if (options.noAutoUndo) {
+            tpb.push(TPB.noAutoUndo);
+        }
+
+        (options.reserve || []).forEach((reservation) => {
+            reservation = typeof reservation === 'string' ? {table: reservation} : reservation;
+
+            const lock = {read: TPB.lockRead, write: TPB.lockWrite}[reservation.lock || 'read'];
+            const mode = {shared: TPB.shared, protected: TPB.protected, exclusive: TPB.exclusive}[reservation.mode || 'shared'];
+            if (!reservation.table || !lock || !mode) {
+                throw new Error(`Неверное резервирование таблицы: ${JSON.stringify(reservation)}`);
+            }
+
+            const table = Buffer.from(reservation.table.toUpperCase(), 'utf8');
+            tpb.push(lock, table.length);
+            tpb.push.apply(tpb, Array.from(table));
+            tpb.push(mode);
+        });
+
+        return tpb;
+    }
+
+    /**
+     * Ограничить время выполнения запроса.
+     * По истечении времени промис отклоняется с QueryTimeoutError, а соединение помечается как сломанное:
+     * драйвер не умеет отменять запрос на сервере, поэтому соединение остается занятым им.
+     *
+     * @param {Connection} connection  Соединение
+     * @param {Promise}    promise     Выполнение запроса
+     * @param {Number}     [timeout]   Время ожидания, мс; по умолчанию - connection.queryTimeout, 0 - без ограничения
+     * @param {String}     sql         Текст запроса
+     * @returns {Promise}
+     */
+    function withTimeout(connection, promise, timeout, sql) {
+        timeout = timeout != null ? timeout : connection && connection.queryTimeout;
+        if (!timeout || timeout <= 0) {
+            return promise;
+        }
+
+        return Promise.resolve(promise)
+            .timeout(timeout)
+            .catch(Promise.TimeoutError, () => {
+                const error = new Errors.QueryTimeoutError(sql, timeout);
+                if (connection && connection.markBroken) {
+                    connection.markBroken(error);
+                }
+                throw error;
+            });
+    }
+
+    /**
+     * Преобразовать ошибку драйвера в типизированную (см. errors.wrap).
+     * При потере связи с сервером соединение помечается как отключенное.
+     *
+     * @param {Connection} connection  Соединение
+     * @param {Error}      error       Ошибка драйвера
+     * @param {String}     [sql]       Текст запроса
+     * @returns {Error}
+     */
+    function handleError(connection, error, sql) {
+        error = Errors.wrap(error, sql);
+        if (error instanceof Errors.ConnectionLost && connection && connection.markDisconnected) {
+            connection.markDisconnected(error);
+        }
+        return error;
+    }
+
+    /**
+     * Является ли ошибка конфликтом блокировок (deadlock, update conflict, lock conflict)
+     *
+     * @param {Error} error Ошибка
+     * @returns {boolean}
+     */
+    function isLockConflict(error) {
+        if (!error) {
+            return false;
+        }
+
+        return LOCK_CONFLICT_CODES.indexOf(error.code) >= 0 ||
+            /deadlock|lock conflict|update conflicts with concurrent update/i.test(error.message || '');
+    }
+
+    /**
+     * Является ли ошибка нарушением первичного или уникального ключа
+     *
+     * @param {Error} error Ошибка
+     * @returns {boolean}
+     */
+    function isUniqueViolation(error) {
+        return Errors.wrap(error) instanceof Errors.UniqueViolation;
+    }
+
+    /**
+     * Является ли ошибка превышением ограничений реализации Firebird (например, слишком большой текст запроса)
+     *
+     * @param {Error} error Ошибка
+     * @returns {boolean}
+     */
+    function isImplementationLimit(error) {
+        if (!error) {
+            return false;
+        }
+
+        const cause = error.cause || error;
+        return IMPLEMENTATION_LIMIT_CODES.indexOf(cause.code) >= 0 ||
+            /implementation limit exceeded|exceeds implementation restriction|too many contexts/i.test(error.message || '');
+    }
+
+    /**
+     * Тип поля в виде SQL по данным rdb$fields
+     *
+     * @param {Object} field                  Данные поля
+     * @param {Number} field.fieldType        rdb$field_type
+     * @param {Number} [field.fieldSubType]   rdb$field_sub_type
+     * @param {Number} [field.length]         Длина в символах (строки) или байтах
+     * @param {Number} [field.precision]      rdb$field_precision
+     * @param {Number} [field.scale]          rdb$field_scale (отрицательный для дробных)
+     * @returns {{baseType: String, type: String}} baseType - название типа, type - полный тип с размерностью
+     */
+    function formatFieldType(field) {
+        const fieldType = Number(field.fieldType);
+        const subType = Number(field.fieldSubType) || 0;
+        const scale = Number(field.scale) || 0;
+        let baseType = FIELD_TYPES[fieldType] || 'UNKNOWN';
+
+        // Целые и DOUBLE (диалект 1) с дробной частью или подтипом - это NUMERIC/DECIMAL
+        if ([7, 8, 16, 27].indexOf(fieldType) >= 0 && (subType > 0 || scale < 0)) {
+            baseType = subType === 2 ? 'DECIMAL' : 'NUMERIC';
+            const precision = Number(field.precision) || (fieldType === 7 ? 4 : fieldType === 8 ? 9 : 18);
+            return {baseType, type: `${baseType}(${precision}, ${-scale})`};
+        }
+
+        switch (baseType) {
+            case 'CHAR':
+            case 'VARCHAR':
+            case 'CSTRING':
+                return {baseType, type: `${baseType}(${Number(field.length) || 0})`};
+            case 'BLOB':
+                return {baseType, type: 'BLOB SUB_TYPE ' + (subType === 1 ? 'TEXT' : subType)};
+            default:
+                return {baseType, type: baseType};
+        }
+    }
+
+    /**
+     * Событие триггера в виде SQL по rdb$triggers.rdb$trigger_type, например 'BEFORE INSERT OR UPDATE'
+     *
+     * @param {Number} triggerType rdb$trigger_type
+     * @returns {String}
+     */
+    function formatTriggerEvent(triggerType) {
+        triggerType = Number(triggerType);
+        if (DB_TRIGGER_EVENTS[triggerType]) {
+            return DB_TRIGGER_EVENTS[triggerType];
+        }
+
+        // Младший бит (triggerType - 1) - фаза, далее по 2 бита на каждое из трех действий
+        const phase = (triggerType - 1) % 2 ? 'AFTER' : 'BEFORE';
+        const actions = [0, 1, 2]
+            .map((slot) => TRIGGER_ACTIONS[Math.floor((triggerType + 1) / Math.pow(2, slot * 2 + 1)) % 4])
+            .filter((action) => action);
+
+        return phase + ' ' + actions.join(' OR ');
+    }
+
+    /**
+     * Прочитать значение BLOB поля в строку.
+     * Драйвер возвращает BLOB поля в виде функций чтения, которые нужно вызвать до закрытия транзакции.
+     *
+     * @param {Function|Buffer|String} blob Значение поля
+     * @promise {String|null}
+     */
+    function readBlob(blob) {
+        if (typeof blob !== 'function') {
+            return Promise.resolve(blob == null ? null : String(blob));
+        }
+
+        return new Promise((resolve, reject) => {
+            blob((err, name, emitter) => {
+                if (err) {
+                    return reject(err);
+                }
+
+                const chunks = [];
+                emitter.on('data', (chunk) => chunks.push(chunk));
+                emitter.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+                emitter.on('error', reject);
+            });
+        });
+    }
+
     function parseServerVersion(versionStr) {
         const versionParts = (versionStr || '').split('.');
         return {
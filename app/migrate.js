@@ -1,39 +1,298 @@
 (function () {
     'use strict';
 
+    const crypto = require('crypto');
+    const fs = require('fs');
+    const path = require('path');
     const Promise = require('bluebird');
     const _ = require('lodash');
 
     const Log = require('./log');
 
+    // Папка миграций по умолчанию, относительно текущей папки процесса
+    const MIGRATIONS_DIR = 'migrations';
+
     module.exports = {
-        run
+        run,
+        runAll,
+        rollback,
+        verify,
+        loadMigrations,
+        checksum
     };
 
-    function run(connection, migration) {
+    /**
+     * Провести миграцию, если она еще не была проведена.
+     * На время проведения захватывается блокировка миграций в БД (см. Migration.lock),
+     * под блокировкой подготавливаются метаданные миграций (см. Migration.init).
+     * В режиме dryRun блокировка не захватывается, а метаданные и миграция проводятся на одной пишущей транзакции,
+     * которая затем откатывается.
+     *
+     * @param {Connection}     connection        Соединение
+     * @param {Object}         migration         Модуль миграции
+     * @param {Object}         [options]         Настройки
+     * @param {Boolean}        [options.dryRun]  Выполнить миграцию с последующим откатом и вернуть текст выполненных запросов
+     * @param {Object|Boolean} [options.lock]    Настройки блокировки миграций (см. Migration.lock), false - без блокировки
+     * @promise {Boolean|String} true - миграция проведена, false - миграция была проведена ранее;
+     *      в режиме dryRun - текст запросов миграции (пустая строка, если миграция была проведена ранее)
+     */
+    function run(connection, migration, options) {
+        options = options || {};
+
         // Проверяем правильность миграции
         return Promise.method(validateMigration)(migration)
 
-            // Проверяем необходимость миграции
-            .then(() => connection.migration.check(migration.data.project, migration.data.id))
+            // Проводим миграцию под блокировкой или, в режиме dryRun, на откатываемой транзакции
+            .then(() => {
+                if (options.dryRun) {
+                    return withDryRun(connection, (transaction) => applyMigration(connection, migration, transaction));
+                }
+
+                return withLock(connection, options.lock, () => applyMigration(connection, migration));
+            });
+    }
+
+    /**
+     * Провести все миграции из папки или списка.
+     * Миграции проводятся по возрастанию ИД, до первой ошибки.
+     *
+     * @param {Connection}           connection         Соединение
+     * @param {String|Array}         [dirOrList]        Путь к папке миграций, или массив модулей (путей к модулям) миграций,
+     *                                                  по умолчанию - папка migrations
+     * @param {Object}               [options]          Настройки
+     * @param {String}               [options.project]  Проект для миграций, в которых он не указан
+     * @param {Boolean}              [options.dryRun]   Выполнить миграции на одной транзакции с последующим откатом (см. run),
+     *                                                  каждая миграция видит изменения предыдущих;
+     *                                                  текст запросов миграции - в поле script записи applied,
+     *                                                  текст запросов всех миграций - в поле script отчета
+     * @param {Object|Boolean}       [options.lock]     Настройки блокировки миграций (см. Migration.lock), false - без блокировки
+     * @promise {{applied: Array, skipped: Array, failed: Array, script: String}} Отчет о проведении миграций
+     */
+    function runAll(connection, dirOrList, options) {
+        options = options || {};
+
+        const report = {
+            applied: [],
+            skipped: [],
+            failed: []
+        };
+
+        return Promise.try(() => prepareMigrations(loadMigrations(dirOrList), options.project))
+
+            // Под блокировкой (или на откатываемой транзакции в режиме dryRun) по очереди проводим миграции
+            .then((migrations) => {
+                const applyAll = (transaction) => Promise.each(migrations, (migration) => {
+                    // После первой ошибки остальные миграции не проводим
+                    if (report.failed.length > 0) {
+                        return;
+                    }
+
+                    return applyMigration(connection, migration, transaction)
+                        .then((applied) => {
+                            if (options.dryRun && applied) {
+                                report.applied.push(Object.assign(migrationInfo(migration), {script: applied}));
+                            } else if (applied) {
+                                report.applied.push(migrationInfo(migration));
+                            } else {
+                                report.skipped.push(migrationInfo(migration));
+                            }
+                        })
+                        .catch((e) => {
+                            report.failed.push(Object.assign(migrationInfo(migration), {error: e}));
+                        });
+                });
+
+                return options.dryRun ? withDryRun(connection, applyAll) : withLock(connection, options.lock, () => applyAll());
+            })
+            .then(() => {
+                if (options.dryRun) {
+                    report.script = report.applied
+                        .map((migration) => `-- Миграция ${migration.id} "${migration.name}"\n${migration.script}`)
+                        .join('\n\n');
+                }
+
+                Log.info('Миграции%s: проведено %d, пропущено %d, ошибок %d', options.dryRun ? ' (dry run)' : '',
+                    report.applied.length, report.skipped.length, report.failed.length);
+                return report;
+            });
+    }
+
+    /**
+     * Откатить проведенные миграции проекта до указанной версии.
+     * Миграции откатываются по убыванию ИД, каждая на своей пишущей транзакции.
+     * Если хотя бы одна из откатываемых миграций не экспортирует функцию "revert", то откат не производится.
+     * Функции "revert" берутся из модулей миграций: из указанной папки или списка, по умолчанию - из той же папки,
+     * что и в runAll.
+     *
+     * @param {Connection}     connection      Соединение
+     * @param {String}         project         Название проекта
+     * @param {Number}         targetId        ИД миграции, до которой (включительно) сохраняются проведенные миграции
+     * @param {String|Array}   [dirOrList]     Путь к папке миграций, или массив модулей (путей к модулям) миграций,
+     *                                         по умолчанию - папка migrations
+     * @param {Object}         [options]       Настройки
+     * @param {Object|Boolean} [options.lock]  Настройки блокировки миграций (см. Migration.lock), false - без блокировки
+     * @promise {Array} Откаченные миграции
+     */
+    function rollback(connection, project, targetId, dirOrList, options) {
+        options = options || {};
+        project = project || '';
+        const reverted = [];
+
+        return Promise.try(() => prepareMigrations(loadMigrations(dirOrList), project))
+
+            // Под блокировкой (с подготовкой метаданных миграций) определяем проведенные миграции, которые нужно откатить, и откатываем их по одной
+            .then((migrations) => withLock(connection, options.lock, () => {
+                return connection.migration.getApplied(project)
+                    .then((applied) => {
+                        const byId = _.keyBy(migrations.filter((migration) => (migration.data.project || '') === project), (migration) => migration.data.id);
+
+                        return _(applied)
+                            .map((row) => Number(row.id))
+                            .filter((id) => id > targetId)
+                            .sortBy((id) => -id)
+                            .map((id) => {
+                                const migration = byId[id];
+                                if (!migration) {
+                                    throw new Error(`Миграция ${id} проекта "${project}" не найдена, откат невозможен`);
+                                }
+
+                                validateMigration(migration, true);
+                                return migration;
+                            })
+                            .value();
+                    })
+                    .then((toRevert) => Promise.each(toRevert, (migration) => {
+                        Log.info('Откат миграции %d "%s"', migration.data.id, migration.data.name);
+
+                        return connection.onWriteTransaction((tr) => {
+                            return Promise.resolve(migration.revert(connection, tr))
+                                .then(() => connection.migration.remove(tr, project, migration.data.id));
+                        })
+                            .then(() => reverted.push(migrationInfo(migration)))
+                            .catch((e) => {
+                                Log.error('Ошибка при откате миграции %d "%s": \n', migration.data.id, migration.data.name, e);
+                                throw e;
+                            });
+                    }));
+            }))
+            .then(() => reverted);
+    }
+
+    /**
+     * Сверить миграции с записями о проведенных миграциях в БД.
+     * Миграции, проведенные до появления контрольных сумм, не проверяются на изменение.
+     *
+     * @param {Connection}           connection         Соединение
+     * @param {String|Array}         [migrations]       Путь к папке миграций, или массив модулей (путей к модулям) миграций,
+     *                                                  по умолчанию - папка migrations
+     * @param {Object}               [options]          Настройки
+     * @param {String}               [options.project]  Проект для миграций, в которых он не указан
+     * @promise {{changed: Array, missing: Array, pending: Array}}
+     *      changed - контрольная сумма проведенной миграции изменилась,
+     *      missing - миграция проведена в БД, но отсутствует в списке,
+     *      pending - миграция есть в списке, но не проведена
+     */
+    function verify(connection, migrations, options) {
+        options = options || {};
+
+        const report = {
+            changed: [],
+            missing: [],
+            pending: []
+        };
+
+        return Promise.try(() => prepareMigrations(loadMigrations(migrations), options.project))
+            .then((list) => {
+                const projects = _.uniq(list.map((migration) => migration.data.project || '')
+                    .concat(options.project != null ? [options.project] : []));
+
+                return connection.migration.init()
+                    .then(() => Promise.mapSeries(projects, (project) => connection.migration.getApplied(project)))
+                    .then((appliedByProject) => {
+                        const applied = _.keyBy(_.flatten(appliedByProject), (row) => row.project + '|' + row.id);
+                        const known = {};
+
+                        list.forEach((migration) => {
+                            const key = (migration.data.project || '') + '|' + migration.data.id;
+                            const row = applied[key];
+                            known[key] = true;
+
+                            if (!row) {
+                                report.pending.push(migrationInfo(migration));
+                            } else if (row.checksum && row.checksum !== checksum(migration)) {
+                                report.changed.push(Object.assign(migrationInfo(migration), {
+                                    expected: row.checksum,
+                                    actual: checksum(migration)
+                                }));
+                            }
+                        });
+
+                        _.forEach(applied, (row, key) => {
+                            if (!known[key]) {
+                                report.missing.push({project: row.project, id: Number(row.id), name: row.name});
+                            }
+                        });
+                    });
+            })
+            .then(() => report);
+    }
+
+    /**
+     * Контрольная сумма миграции: SHA-256 от исходного кода функции "action"
+     *
+     * @param {Object} migration Модуль миграции
+     * @returns {String}
+     */
+    function checksum(migration) {
+        return crypto.createHash('sha256')
+            .update(migration.action.toString())
+            .digest('hex');
+    }
+
+    /**
+     * Провести миграцию без проверки и блокировки
+     *
+     * @param {Connection}  connection           Соединение
+     * @param {Object}      migration            Модуль миграции
+     * @param {Transaction} [dryRunTransaction]  Откатываемая транзакция режима dryRun; без нее миграция проводится
+     *                                           на своей пишущей транзакции
+     * @promise {Boolean|String} В режиме dryRun - текст запросов миграции
+     * @private
+     */
+    function applyMigration(connection, migration, dryRunTransaction) {
+        const dryRun = Boolean(dryRunTransaction);
+
+        const action = (tr) => {
+            // Выполняем миграцию на пишущей транзакции
+            return migration.action(connection, tr)
+
+                // Сохраним информацию о проведенной миграции
+                .then(() => connection.migration.log(tr, migration.data.project, migration.data.id, migration.data.name, migration.data.date, migration.data.author, checksum(migration)));
+        };
+
+        // Проверяем необходимость миграции
+        return connection.migration.check(migration.data.project, migration.data.id, dryRunTransaction)
 
             // Если необходимо - проводим миграцию
             .then((exists) => {
                 if (exists) {
-                    return;
+                    return dryRun ? '' : false;
                 }
 
-                Log.info('Миграция %d "%s"', migration.data.id, migration.data.name);
+                Log.info('Миграция %d "%s"%s', migration.data.id, migration.data.name, dryRun ? ' (dry run)' : '');
 
-                // Откроем пишущую транзакцию
-                return connection.onWriteTransaction((tr) => {
+                if (dryRun) {
+                    // Журнал запросов транзакции общий для всех миграций dry run, берем только запросы этой миграции
+                    const script = dryRunTransaction.startRecording();
+                    const start = script.length;
 
-                    // Выполняем миграцию на пишущей транзакции
-                    return migration.action(connection, tr)
+                    return action(dryRunTransaction)
+                        .then(() => formatScript(script.slice(start)));
+                }
 
-                        // Сохраним информацию о проведенной миграции
-                        .then(() => connection.migration.log(tr, migration.data.project, migration.data.id, migration.data.name, migration.data.date, migration.data.author));
-                });
+                // Откроем пишущую транзакцию
+                return connection.onWriteTransaction(action)
+                    .then(() => true);
             })
 
             // Обработка исключений в миграции
@@ -43,9 +302,150 @@
             });
     }
 
-    function validateMigration(migration) {
-        if (!_.isObject(migration.data) || !_.isFunction(migration.action)) {
+    /**
+     * Выполнить действия под блокировкой миграций.
+     * Метаданные миграций подготавливаются после захвата блокировки, чтобы процессы не изменяли их одновременно.
+     *
+     * @param {Connection}     connection    Соединение
+     * @param {Object|Boolean} lockOptions   Настройки блокировки, false - без блокировки
+     * @param {Function}       action        Действия
+     * @promise {*} Результат действий
+     * @private
+     */
+    function withLock(connection, lockOptions, action) {
+        if (lockOptions === false) {
+            return connection.migration.init()
+                .then(action);
+        }
+
+        return connection.migration.lock(lockOptions)
+            .then((lock) => {
+                return connection.migration.init()
+                    .then(action)
+                    .finally(() => lock.release());
+            });
+    }
+
+    /**
+     * Выполнить действия в режиме dryRun: без блокировки миграций, на одной пишущей транзакции, которая затем откатывается.
+     * Метаданные миграций подготавливаются на этой же транзакции, поэтому БД не изменяется.
+     *
+     * @param {Connection} connection  Соединение
+     * @param {Function}   action      Действия: (transaction) => Promise
+     * @promise {*} Результат действий
+     * @private
+     */
+    function withDryRun(connection, action) {
+        return connection.onWriteTransaction((transaction) => {
+            return connection.migration.init(transaction)
+                .then(() => action(transaction));
+        }, {dryRun: true});
+    }
+
+    /**
+     * Загрузить модули миграций из папки или списка
+     *
+     * @param {String|Array} [dirOrList] Путь к папке миграций, или массив модулей (путей к модулям) миграций,
+     *                                   по умолчанию - папка migrations
+     * @returns {Array} Модули миграций
+     */
+    function loadMigrations(dirOrList) {
+        if (dirOrList == null) {
+            dirOrList = MIGRATIONS_DIR;
+        }
+
+        let list;
+        if (_.isString(dirOrList)) {
+            const dir = path.resolve(dirOrList);
+            list = fs.readdirSync(dir)
+                .filter((fileName) => path.extname(fileName) === '.js')
+                .sort()
+                .map((fileName) => path.join(dir, fileName));
+        } else if (Array.isArray(dirOrList)) {
+            list = dirOrList;
+        } else {
+            throw new Error('Необходимо указать папку или список миграций');
+        }
+
+        return list.map((item) => _.isString(item) ? require(path.resolve(item)) : item);
+    }
+
+    /**
+     * Проверка списка миграций и упорядочивание по ИД
+     *
+     * @param {Array}  migrations Модули миграций
+     * @param {String} [project]  Проект для миграций, в которых он не указан
+     * @returns {Array} Упорядоченные модули миграций
+     * @private
+     */
+    function prepareMigrations(migrations, project) {
+        migrations = migrations.map((migration) => {
+            validateMigration(migration);
+
+            if (migration.data.project != null || project == null) {
+                return migration;
+            }
+
+            return Object.assign({}, migration, {
+                data: Object.assign({}, migration.data, {project})
+            });
+        });
+
+        // ИД миграций должны быть уникальны в пределах проекта
+        const ids = {};
+        migrations.forEach((migration) => {
+            const id = migration.data.id;
+            if (!_.isSafeInteger(id) || id < 0) {
+                throw new Error(`Неверный ИД миграции "${migration.data.name}": ${id}`);
+            }
+
+            const project = migration.data.project || '';
+            ids[project] = ids[project] || {};
+            if (ids[project][id]) {
+                throw new Error(`Повторяющийся ИД миграции ${id} в проекте "${project}": "${ids[project][id]}" и "${migration.data.name}"`);
+            }
+            ids[project][id] = migration.data.name;
+        });
+
+        return _.sortBy(migrations, (migration) => migration.data.id);
+    }
+
+    /**
+     * Форматирование журнала запросов транзакции в текст скрипта
+     *
+     * @param {Array<{sql: String, params: Array}>} script Журнал запросов
+     * @returns {String}
+     * @private
+     */
+    function formatScript(script) {
+        return (script || [])
+            .map((entry) => {
+                let text = (entry.sql || '').trim().replace(/;$/, '') + ';';
+                if (entry.params && entry.params.length > 0) {
+                    text = '-- params: ' + JSON.stringify(entry.params) + '\n' + text;
+                }
+                return text;
+            })
+            .join('\n\n');
+    }
+
+    function migrationInfo(migration) {
+        return {
+            project: migration.data.project || '',
+            id: migration.data.id,
+            name: migration.data.name
+        };
+    }
+
+    function validateMigration(migration, revertRequired) {
+        if (!_.isObject(migration) || !_.isObject(migration.data) || !_.isFunction(migration.action)) {
             throw new Error('Миграция должна экспортировать данные "data" и функцию "action"');
         }
+        if (migration.revert != null && !_.isFunction(migration.revert)) {
+            throw new Error(`Миграция ${migration.data.id} "${migration.data.name}": "revert" должен быть функцией`);
+        }
+        if (revertRequired && !migration.revert) {
+            throw new Error(`Миграция ${migration.data.id} "${migration.data.name}" не экспортирует функцию "revert", откат невозможен`);
+        }
     }
-})();
\ No newline at end of file
+})();
@@ -73,11 +73,56 @@
         }
     }
 
+    /**
+     * HTTP 409 Conflict
+     * @param message
+     * @constructor
+     */
+    class ConflictError extends Error {
+        constructor(message) {
+            super(message);
+            this.message = message;
+            this.status = HTTPStatus.CONFLICT;
+            this.name = HTTPStatus[this.status];
+        }
+    }
+
+    /**
+     * HTTP 422 Unprocessable Entity
+     * @param message
+     * @constructor
+     */
+    class UnprocessableEntityError extends Error {
+        constructor(message) {
+            super(message);
+            this.message = message;
+            this.status = HTTPStatus.UNPROCESSABLE_ENTITY;
+            this.name = HTTPStatus[this.status];
+        }
+    }
+
+    /**
+     * HTTP 503 Service Unavailable
+     * @param message
+     * @constructor
+     */
+    class ServiceUnavailableError extends Error {
+        constructor(message) {
+            super(message);
+            this.message = message;
+            this.status = HTTPStatus.SERVICE_UNAVAILABLE;
+            this.name = HTTPStatus[this.status];
+        }
+    }
+
     module.exports = {
         BadRequest,
         ServerError,
         UnauthorizedError,
         NotFoundError,
-        NotAcceptableError
+        NotAcceptableError,
+        ConflictError,
+        UnprocessableEntityError,
+        ServiceUnavailableError
     };
 })();
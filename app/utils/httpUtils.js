@@ -37,6 +37,12 @@
      * @param error {Error|String}   Ошибка
      */
     function respondError(res, error) {
+        // Ошибки БД (см. firebird/errors) преобразуем в HTTP ошибки, подробности пишем в лог
+        if (error && typeof error.toHttpError === 'function') {
+            Log.warn('%s: %s%s', error.name, error.message, error.sql ? '; запрос: ' + error.sql.trim() : '');
+            error = error.toHttpError();
+        }
+
         // Определяем данные ошибки
         const status = (error && error.status) ? error.status : HTTPStatus.INTERNAL_SERVER_ERROR;
         const name = (error && error.name) ? error.name : HTTPStatus[HTTPStatus.INTERNAL_SERVER_ERROR];
@@ -0,0 +1,694 @@
+(function () {
+    'use strict';
+
+    const _ = require('lodash');
+
+    // Зарезервированные слова Firebird, которые часто встречаются в качестве имен полей
+    const RESERVED_WORDS = [
+        'ADD', 'ALL', 'AND', 'AS', 'BY', 'CHAR', 'CHARACTER', 'CHECK', 'COLUMN', 'CONNECT', 'CONSTRAINT', 'CROSS',
+        'CURRENT', 'CURSOR', 'DATE', 'DAY', 'DEFAULT', 'DELETE', 'DISTINCT', 'DOUBLE', 'DROP', 'ELSE', 'END', 'ESCAPE',
+        'EXTERNAL', 'FILTER', 'FLOAT', 'FOR', 'FROM', 'FULL', 'GLOBAL', 'GROUP', 'HAVING', 'HOUR', 'IN', 'INDEX', 'INNER',
+        'INSERT', 'INTEGER', 'INTO', 'IS', 'JOIN', 'LEFT', 'LIKE', 'MERGE', 'MINUTE', 'MONTH', 'NATURAL',
+        'NOT', 'NULL', 'OF', 'ON', 'OR', 'ORDER', 'OUTER', 'PARAMETER', 'PLAN', 'POSITION', 'PRIMARY', 'RECORD', 'REFERENCES',
+        'RETURNING', 'RIGHT', 'ROWS', 'SECOND', 'SELECT', 'SET', 'SOME', 'START', 'TABLE', 'THEN', 'TIME', 'TIMESTAMP', 'TO',
+        'TRIGGER', 'UNION', 'UNIQUE', 'UPDATE', 'USER', 'USING', 'VALUE', 'VALUES', 'VARCHAR', 'VARIABLE', 'VIEW', 'WHEN',
+        'WHERE', 'WITH', 'YEAR'
+    ];
+
+    // Ключ условия: поле и, необязательно, оператор - {'amount >': 10, 'name LIKE': 'A%'}
+    const CONDITION_KEY = /^([A-Za-z_][\w$]*(?:\.[A-Za-z_][\w$]*)?)\s*(=|<>|!=|<=|>=|<|>|NOT\s+LIKE|LIKE|STARTING\s+WITH|CONTAINING|NOT\s+IN|IN|IS\s+NOT|IS)?$/i;
+
+    // Поле с необязательным префиксом таблицы - 'name', 'c.name'
+    const IDENTIFIER = /^[A-Za-z_][\w$]*(?:\.[A-Za-z_][\w$]*)?$/;
+
+    // Поле с необязательным псевдонимом - 'c.name', 'c.name AS client_name', 'c.name client_name'
+    const COLUMN = /^([A-Za-z_][\w$]*(?:\.(?:[A-Za-z_][\w$]*|\*))?|\*)(?:\s+(?:AS\s+)?([A-Za-z_][\w$]*))?$/i;
+
+    /**
+     * SQL-выражение, подставляемое в запрос как есть
+     */
+    class Raw {
+        /**
+         * @param {String} sql       Текст выражения
+         * @param {Array}  [params]  Параметры выражения
+         * @constructor
+         */
+        constructor(sql, params) {
+            this.sql = sql;
+            this.params = params || [];
+        }
+
+        build() {
+            return {sql: this.sql, params: this.params.slice()};
+        }
+    }
+
+    /**
+     * Общая часть построителей запросов: условия WHERE
+     */
+    class Builder {
+        constructor() {
+            this._where = [];
+        }
+
+        /**
+         * Добавить условие (условия объединяются через AND)
+         *
+         * @param {Object|String|Raw} condition  Объект {поле: значение}, или текст условия с параметрами "?"
+         * @param {Array}             [params]   Параметры текстового условия
+         * @returns {this}
+         */
+        where(condition, params) {
+            if (_.isString(condition)) {
+                this._where.push(new Raw(condition, params));
+            } else if (condition instanceof Raw) {
+                this._where.push(condition);
+            } else if (_.isPlainObject(condition)) {
+                _.forEach(condition, (value, key) => this._where.push(formatCondition(key, value)));
+            } else {
+                throw new Error('Условие запроса должно быть объектом или строкой');
+            }
+
+            return this;
+        }
+
+        /**
+         * Текст запроса и массив параметров
+         *
+         * @returns {{sql: String, params: Array}}
+         */
+        build() {
+            throw new Error('Not implemented');
+        }
+
+        _buildWhere(params) {
+            if (this._where.length === 0) {
+                return '';
+            }
+
+            return ' WHERE ' + this._where
+                .map((condition) => {
+                    params.push.apply(params, condition.params);
+                    return this._where.length > 1 ? '(' + condition.sql + ')' : condition.sql;
+                })
+                .join(' AND ');
+        }
+    }
+
+    /**
+     * SELECT запрос
+     */
+    class SelectBuilder extends Builder {
+        /**
+         * @param {Array<String|Raw>} columns Поля
+         * @constructor
+         */
+        constructor(columns) {
+            super();
+            this._columns = columns.length > 0 ? columns : ['*'];
+            this._distinct = false;
+            this._from = null;
+            this._joins = [];
+            this._groupBy = [];
+            this._having = [];
+            this._orderBy = [];
+            this._first = null;
+            this._skip = null;
+            this._rows = null;
+        }
+
+        distinct() {
+            this._distinct = true;
+            return this;
+        }
+
+        /**
+         * @param {String|SelectBuilder} table    Таблица или подзапрос
+         * @param {String}               [alias]  Псевдоним
+         * @returns {this}
+         */
+        from(table, alias) {
+            this._from = formatSource(table, alias);
+            return this;
+        }
+
+        /**
+         * INNER JOIN
+         *
+         * @param {String|SelectBuilder} table      Таблица или подзапрос
+         * @param {String}               [alias]    Псевдоним
+         * @param {String}               condition  Условие соединения
+         * @param {Array}                [params]   Параметры условия
+         * @returns {this}
+         */
+        join(table, alias, condition, params) {
+            return this._join('JOIN', table, alias, condition, params);
+        }
+
+        leftJoin(table, alias, condition, params) {
+            return this._join('LEFT JOIN', table, alias, condition, params);
+        }
+
+        rightJoin(table, alias, condition, params) {
+            return this._join('RIGHT JOIN', table, alias, condition, params);
+        }
+
+        /**
+         * @param {...String|Raw|Array} columns Поля группировки; выражения передаются через raw()
+         * @returns {this}
+         */
+        groupBy() {
+            this._groupBy = this._groupBy.concat(_.flatten(_.toArray(arguments)).map(formatIdentifier));
+            return this;
+        }
+
+        having(condition, params) {
+            this._having.push(new Raw(condition, params));
+            return this;
+        }
+
+        /**
+         * @param {String|Raw} column           Поле; выражения передаются через raw()
+         * @param {String}     [direction=ASC]  Направление сортировки: ASC или DESC
+         * @returns {this}
+         */
+        orderBy(column, direction) {
+            direction = (direction || 'ASC').toUpperCase();
+            if (direction !== 'ASC' && direction !== 'DESC') {
+                throw new Error(`Неверное направление сортировки: ${direction}`);
+            }
+
+            this._orderBy.push(formatIdentifier(column) + ' ' + direction);
+            return this;
+        }
+
+        /**
+         * SELECT FIRST n
+         */
+        first(count) {
+            this._first = toCount(count);
+            return this;
+        }
+
+        /**
+         * SELECT SKIP n
+         */
+        skip(count) {
+            this._skip = toCount(count);
+            return this;
+        }
+
+        /**
+         * ROWS from TO to (нумерация с 1)
+         */
+        rows(from, to) {
+            this._rows = {from: toCount(from), to: toCount(to)};
+            return this;
+        }
+
+        /**
+         * Пагинация в формате sqlUtils.formatPaginationClause: {size, skip}
+         *
+         * @param {{size: Number, skip: Number}} [pagination]
+         * @returns {this}
+         */
+        paginate(pagination) {
+            if (pagination) {
+                const size = Number(pagination.size) || 1;
+                const skip = Number(pagination.skip) || 0;
+                this.rows(skip + 1, skip + size);
+            }
+            return this;
+        }
+
+        build() {
+            if (!this._from) {
+                throw new Error('Не указана таблица запроса');
+            }
+
+            const params = [];
+            let sql = 'SELECT ';
+            if (this._first != null) {
+                sql += `FIRST ${this._first} `;
+            }
+            if (this._skip != null) {
+                sql += `SKIP ${this._skip} `;
+            }
+            if (this._distinct) {
+                sql += 'DISTINCT ';
+            }
+
+            sql += this._columns.map((column) => appendPart(column, params, formatColumn)).join(', ');
+            sql += ' FROM ' + appendPart(this._from, params);
+
+            this._joins.forEach((join) => {
+                sql += ` ${join.type} ${appendPart(join.source, params)} ON ${appendPart(join.condition, params)}`;
+            });
+
+            sql += this._buildWhere(params);
+
+            if (this._groupBy.length > 0) {
+                sql += ' GROUP BY ' + this._groupBy.join(', ');
+            }
+            if (this._having.length > 0) {
+                sql += ' HAVING ' + this._having.map((condition) => appendPart(condition, params)).join(' AND ');
+            }
+            if (this._orderBy.length > 0) {
+                sql += ' ORDER BY ' + this._orderBy.join(', ');
+            }
+            if (this._rows) {
+                sql += ` ROWS ${this._rows.from} TO ${this._rows.to}`;
+            }
+
+            return {sql, params};
+        }
+
+        _join(type, table, alias, condition, params) {
+            // Псевдоним можно не указывать: join(table, condition, params)
+            if (condition == null || Array.isArray(condition)) {
+                params = condition;
+                condition = alias;
+                alias = null;
+            }
+
+            this._joins.push({
+                type,
+                source: formatSource(table, alias),
+                condition: condition instanceof Raw ? condition : new Raw(condition, params)
+            });
+            return this;
+        }
+    }
+
+    /**
+     * INSERT и UPDATE OR INSERT запросы
+     */
+    class InsertBuilder extends Builder {
+        /**
+         * @param {String}  table           Таблица
+         * @param {Object}  data            Значения полей
+         * @param {Boolean} updateOrInsert  UPDATE OR INSERT
+         * @constructor
+         */
+        constructor(table, data, updateOrInsert) {
+            super();
+            this._table = table;
+            this._data = data;
+            this._updateOrInsert = updateOrInsert;
+            this._matching = [];
+            this._returning = [];
+        }
+
+        /**
+         * Поля сопоставления для UPDATE OR INSERT
+         */
+        matching() {
+            this._matching = _.flatten(_.toArray(arguments));
+            return this;
+        }
+
+        returning() {
+            this._returning = _.flatten(_.toArray(arguments));
+            return this;
+        }
+
+        build() {
+            const params = [];
+            const columns = Object.keys(this._data);
+            if (columns.length === 0) {
+                throw new Error('Не указаны значения полей');
+            }
+
+            let sql = (this._updateOrInsert ? 'UPDATE OR INSERT INTO ' : 'INSERT INTO ') + quoteIdentifier(this._table) +
+                ' (' + columns.map(quoteIdentifier).join(', ') + ')' +
+                ' VALUES (' + columns.map((column) => formatValue(this._data[column], params)).join(', ') + ')';
+
+            if (this._matching.length > 0) {
+                sql += ' MATCHING (' + this._matching.map(quoteIdentifier).join(', ') + ')';
+            }
+
+            return {sql: sql + formatReturning(this._returning), params};
+        }
+    }
+
+    /**
+     * UPDATE запрос
+     */
+    class UpdateBuilder extends Builder {
+        constructor(table, data) {
+            super();
+            this._table = table;
+            this._data = data;
+            this._returning = [];
+        }
+
+        returning() {
+            this._returning = _.flatten(_.toArray(arguments));
+            return this;
+        }
+
+        build() {
+            const params = [];
+            const columns = Object.keys(this._data);
+            if (columns.length === 0) {
+                throw new Error('Не указаны значения полей');
+            }
+
+            let sql = 'UPDATE ' + quoteIdentifier(this._table) + ' SET ' +
+                columns.map((column) => quoteIdentifier(column) + ' = ' + formatValue(this._data[column], params)).join(', ');
+            sql += this._buildWhere(params);
+
+            return {sql: sql + formatReturning(this._returning), params};
+        }
+    }
+
+    /**
+     * DELETE запрос
+     */
+    class DeleteBuilder extends Builder {
+        constructor(table) {
+            super();
+            this._table = table;
+            this._returning = [];
+        }
+
+        returning() {
+            this._returning = _.flatten(_.toArray(arguments));
+            return this;
+        }
+
+        build() {
+            const params = [];
+            const sql = 'DELETE FROM ' + quoteIdentifier(this._table) + this._buildWhere(params);
+            return {sql: sql + formatReturning(this._returning), params};
+        }
+    }
+
+    /**
+     * MERGE запрос
+     */
+    class MergeBuilder extends Builder {
+        constructor(table, alias) {
+            super();
+            this._target = formatSource(table, alias);
+            this._source = null;
+            this._on = null;
+            this._update = null;
+            this._insert = null;
+            this._delete = false;
+        }
+
+        /**
+         * Источник данных: таблица, подзапрос, или объект значений (SELECT ... FROM rdb$database)
+         *
+         * @param {String|SelectBuilder|Object} source  Источник
+         * @param {String}                      alias   Псевдоним
+         * @returns {this}
+         */
+        using(source, alias) {
+            if (_.isPlainObject(source)) {
+                const params = [];
+                const columns = _.map(source, (value, column) => formatValue(value, params) + ' AS ' + quoteIdentifier(column));
+                source = new Raw('(SELECT ' + columns.join(', ') + ' FROM rdb$database)', params);
+            }
+
+            this._source = formatSource(source, alias);
+            return this;
+        }
+
+        on(condition, params) {
+            this._on = new Raw(condition, params);
+            return this;
+        }
+
+        /**
+         * WHEN MATCHED THEN UPDATE SET ...
+         *
+         * @param {Object} data Значения полей (ссылки на поля источника - через raw)
+         * @returns {this}
+         */
+        whenMatchedThenUpdate(data) {
+            this._update = data;
+            return this;
+        }
+
+        whenMatchedThenDelete() {
+            this._delete = true;
+            return this;
+        }
+
+        /**
+         * WHEN NOT MATCHED THEN INSERT ...
+         *
+         * @param {Object} data Значения полей (ссылки на поля источника - через raw)
+         * @returns {this}
+         */
+        whenNotMatchedThenInsert(data) {
+            this._insert = data;
+            return this;
+        }
+
+        build() {
+            if (!this._source || !this._on) {
+                throw new Error('Для MERGE необходимо указать источник (using) и условие (on)');
+            }
+
+            const params = [];
+            let sql = 'MERGE INTO ' + appendPart(this._target, params) +
+                ' USING ' + appendPart(this._source, params) +
+                ' ON ' + appendPart(this._on, params);
+
+            if (this._update) {
+                sql += ' WHEN MATCHED THEN UPDATE SET ' + _.map(this._update, (value, column) => {
+                    return quoteIdentifier(column) + ' = ' + formatValue(value, params);
+                }).join(', ');
+            } else if (this._delete) {
+                sql += ' WHEN MATCHED THEN DELETE';
+            }
+            if (this._insert) {
+                const columns = Object.keys(this._insert);
+                sql += ' WHEN NOT MATCHED THEN INSERT (' + columns.map(quoteIdentifier).join(', ') + ')' +
+                    ' VALUES (' + columns.map((column) => formatValue(this._insert[column], params)).join(', ') + ')';
+            }
+
+            return {sql, params};
+        }
+    }
+
+    module.exports = {
+        select,
+        insert,
+        updateOrInsert,
+        update,
+        deleteFrom,
+        merge,
+
+        raw,
+        quoteIdentifier,
+
+        Raw,
+        SelectBuilder,
+        InsertBuilder,
+        UpdateBuilder,
+        DeleteBuilder,
+        MergeBuilder
+    };
+
+    /**
+     * SELECT запрос
+     *
+     * @param {...String|Raw|Array} columns Поля (по умолчанию *), в том числе с псевдонимом; выражения передаются через raw()
+     * @returns {SelectBuilder}
+     */
+    function select() {
+        return new SelectBuilder(_.flatten(_.toArray(arguments)));
+    }
+
+    /**
+     * INSERT запрос
+     *
+     * @param {String} table Таблица
+     * @param {Object} data  Значения полей
+     * @returns {InsertBuilder}
+     */
+    function insert(table, data) {
+        return new InsertBuilder(table, data, false);
+    }
+
+    /**
+     * UPDATE OR INSERT запрос
+     *
+     * @param {String} table Таблица
+     * @param {Object} data  Значения полей
+     * @returns {InsertBuilder}
+     */
+    function updateOrInsert(table, data) {
+        return new InsertBuilder(table, data, true);
+    }
+
+    /**
+     * UPDATE запрос
+     *
+     * @param {String} table Таблица
+     * @param {Object} data  Значения полей
+     * @returns {UpdateBuilder}
+     */
+    function update(table, data) {
+        return new UpdateBuilder(table, data);
+    }
+
+    /**
+     * DELETE запрос
+     *
+     * @param {String} table Таблица
+     * @returns {DeleteBuilder}
+     */
+    function deleteFrom(table) {
+        return new DeleteBuilder(table);
+    }
+
+    /**
+     * MERGE запрос
+     *
+     * @param {String} table    Таблица
+     * @param {String} [alias]  Псевдоним
+     * @returns {MergeBuilder}
+     */
+    function merge(table, alias) {
+        return new MergeBuilder(table, alias);
+    }
+
+    /**
+     * SQL-выражение, подставляемое в запрос как есть
+     *
+     * @param {String} sql       Текст выражения
+     * @param {Array}  [params]  Параметры выражения
+     * @returns {Raw}
+     */
+    function raw(sql, params) {
+        return new Raw(sql, params);
+    }
+
+    /**
+     * Экранирование идентификатора (допускается префикс таблицы через точку).
+     * Простые идентификаторы остаются без кавычек (в Firebird идентификаторы в кавычках чувствительны к регистру),
+     * зарезервированные слова заключаются в кавычки в верхнем регистре, остальные - в кавычки как есть.
+     *
+     * @param {String} identifier Идентификатор
+     * @returns {String}
+     */
+    function quoteIdentifier(identifier) {
+        return String(identifier)
+            .split('.')
+            .map((part) => {
+                if (part === '*') {
+                    return part;
+                }
+                if (/^[A-Za-z_][\w$]*$/.test(part)) {
+                    return RESERVED_WORDS.indexOf(part.toUpperCase()) >= 0 ? '"' + part.toUpperCase() + '"' : part;
+                }
+                return '"' + part.replace(/"/g, '""') + '"';
+            })
+            .join('.');
+    }
+
+    function formatColumn(column) {
+        if (column instanceof Raw) {
+            return column.sql;
+        }
+
+        // Выражения подставляются только через raw(), иначе в запрос попал бы произвольный текст
+        const match = COLUMN.exec(column);
+        if (!match) {
+            throw new Error(`Неверное поле запроса: ${column}`);
+        }
+
+        return quoteIdentifier(match[1]) + (match[2] ? ' AS ' + quoteIdentifier(match[2]) : '');
+    }
+
+    function formatIdentifier(column) {
+        if (column instanceof Raw) {
+            return column.sql;
+        }
+
+        if (!IDENTIFIER.test(column)) {
+            throw new Error(`Неверное поле запроса: ${column}`);
+        }
+
+        return quoteIdentifier(column);
+    }
+
+    function formatSource(table, alias) {
+        if (table instanceof Builder) {
+            const built = table.build();
+            table = new Raw('(' + built.sql + ')', built.params);
+        }
+        if (table instanceof Raw) {
+            return alias ? new Raw(table.sql + ' ' + quoteIdentifier(alias), table.params) : table;
+        }
+
+        // Псевдоним можно указать через пробел: 'client c'
+        const parts = String(table).trim().split(/\s+(?:AS\s+)?/i);
+        alias = alias || parts[1];
+        return new Raw(quoteIdentifier(parts[0]) + (alias ? ' ' + quoteIdentifier(alias) : ''));
+    }
+
+    function formatCondition(key, value) {
+        const match = CONDITION_KEY.exec(key.trim());
+        if (!match) {
+            throw new Error(`Неверное условие запроса: ${key}`);
+        }
+
+        const column = quoteIdentifier(match[1]);
+        let operator = (match[2] || '').toUpperCase().replace(/\s+/g, ' ');
+        const params = [];
+
+        if (value instanceof Builder) {
+            const built = value.build();
+            return new Raw(`${column} ${operator === 'NOT IN' ? 'NOT IN' : 'IN'} (${built.sql})`, built.params);
+        }
+        if (value === null) {
+            return new Raw(`${column} ${operator === 'IS NOT' || operator === '<>' || operator === '!=' ? 'IS NOT NULL' : 'IS NULL'}`);
+        }
+        if (Array.isArray(value)) {
+            const not = operator === 'NOT IN' || operator === '<>' || operator === '!=';
+            if (value.length === 0) {
+                return new Raw(not ? '1 = 1' : '1 = 0');
+            }
+            return new Raw(`${column} ${not ? 'NOT IN' : 'IN'} (${value.map((item) => formatValue(item, params)).join(', ')})`, params);
+        }
+
+        operator = operator || '=';
+        return new Raw(`${column} ${operator} ${formatValue(value, params)}`, params);
+    }
+
+    function formatValue(value, params) {
+        if (value instanceof Raw) {
+            params.push.apply(params, value.params);
+            return value.sql;
+        }
+
+        params.push(value === undefined ? null : value);
+        return '?';
+    }
+
+    function formatReturning(columns) {
+        return columns.length > 0 ? ' RETURNING ' + columns.map((column) => formatColumn(column)).join(', ') : '';
+    }
+
+    function appendPart(part, params, format) {
+        if (part instanceof Raw) {
+            params.push.apply(params, part.params);
+            return part.sql;
+        }
+        return format ? format(part) : part;
+    }
+
+    function toCount(value) {
+        const count = Number(value);
+        if (!_.isSafeInteger(count) || count < 0) {
+            throw new Error(`Неверное количество строк: ${value}`);
+        }
+        return count;
+    }
+})();
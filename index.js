@@ -10,6 +10,7 @@
         httpUtils: require('./app/utils/httpUtils'),
         momentUtils: require('./app/utils/momentUtils'),
         dataUtils: require('./app/utils/dataUtils'),
-        sqlUtils: require('./app/utils/sqlUtils')
+        sqlUtils: require('./app/utils/sqlUtils'),
+        queryBuilder: require('./app/utils/queryBuilder')
     };
 })();
\ No newline at end of file
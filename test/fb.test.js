@@ -7,6 +7,10 @@
 
     const fb = require('..').fb;
     const FirebirdUtils = require('../app/firebird/utils');
+    const Transaction = require('../app/firebird/transaction');
+    const PreparedStatement = require('../app/firebird/statement');
+    const Metadata = require('../app/firebird/metadata');
+    const Params = require('../app/firebird/params');
     const DataUtils = require('../app/utils/dataUtils');
 
     const options = {
@@ -15,6 +19,40 @@
         password: 'masterkey'
     };
 
+    /**
+     * Prepared statement поверх заглушки драйвера, возвращающей count строк
+     */
+    function createStatement(count) {
+        const rows = [];
+        for (let i = 1; i <= count; i++) {
+            rows.push({num: i});
+        }
+
+        const driverStatement = {
+            type: 1,
+            output: [{}],
+            fetches: 0,
+            closed: false,
+            dropped: false,
+            execute: (tr, params, callback) => callback(null),
+            fetch: (tr, size, callback) => {
+                driverStatement.fetches++;
+                const data = rows.splice(0, size).map((row) => ({data: row}));
+                setImmediate(() => callback(null, {data, fetched: rows.length === 0}));
+            },
+            close: (callback) => {
+                driverStatement.closed = true;
+                callback(null);
+            },
+            drop: (callback) => {
+                driverStatement.dropped = true;
+                callback(null);
+            }
+        };
+
+        return new PreparedStatement(null, {transaction: {}}, driverStatement, 'SELECT num FROM test');
+    }
+
     describe('fb.utils', function () {
         it('parseUrl', function () {
             let parsed;
@@ -65,6 +103,90 @@
             parsed = FirebirdUtils.parseServerVersion('3.0.3.1');
             assert.deepEqual(parsed, {major: 3, minor: 0, patch: 3});
         });
+
+        it('formatFieldType', function () {
+            assert.deepEqual(FirebirdUtils.formatFieldType({fieldType: 8}), {baseType: 'INTEGER', type: 'INTEGER'});
+            assert.deepEqual(FirebirdUtils.formatFieldType({fieldType: 37, length: 255}), {baseType: 'VARCHAR', type: 'VARCHAR(255)'});
+            assert.deepEqual(FirebirdUtils.formatFieldType({fieldType: 16, fieldSubType: 1, precision: 18, scale: -2}), {baseType: 'NUMERIC', type: 'NUMERIC(18, 2)'});
+            assert.deepEqual(FirebirdUtils.formatFieldType({fieldType: 8, fieldSubType: 2, precision: 9, scale: -4}), {baseType: 'DECIMAL', type: 'DECIMAL(9, 4)'});
+            assert.deepEqual(FirebirdUtils.formatFieldType({fieldType: 261, fieldSubType: 1}), {baseType: 'BLOB', type: 'BLOB SUB_TYPE TEXT'});
+        });
+
+        it('formatTriggerEvent', function () {
+            assert.equal(FirebirdUtils.formatTriggerEvent(1), 'BEFORE INSERT');
+            assert.equal(FirebirdUtils.formatTriggerEvent(4), 'AFTER UPDATE');
+            assert.equal(FirebirdUtils.formatTriggerEvent(6), 'AFTER DELETE');
+            assert.equal(FirebirdUtils.formatTriggerEvent(17), 'BEFORE INSERT OR UPDATE');
+            assert.equal(FirebirdUtils.formatTriggerEvent(114), 'AFTER INSERT OR UPDATE OR DELETE');
+            assert.equal(FirebirdUtils.formatTriggerEvent(8192), 'ON CONNECT');
+        });
+
+        it('named params', function () {
+            let parsed = Params.parse('SELECT * FROM client WHERE id = :id AND name = :name OR parent_id = :id');
+            assert.equal(parsed.sql, 'SELECT * FROM client WHERE id = ? AND name = ? OR parent_id = ?');
+            assert.deepEqual(parsed.names, ['id', 'name', 'id']);
+
+            parsed = Params.parse(`SELECT ':skip', "col:skip" /* :skip */ FROM t -- :skip\nWHERE a = :a`);
+            assert.equal(parsed.sql, `SELECT ':skip', "col:skip" /* :skip */ FROM t -- :skip\nWHERE a = ?`);
+            assert.deepEqual(parsed.names, ['a']);
+
+            parsed = Params.parse('EXECUTE BLOCK AS DECLARE x INTEGER; BEGIN SELECT 1 FROM rdb$database INTO :x; END');
+            assert.deepEqual(parsed.names, []);
+
+            const bound = Params.bind('UPDATE t SET a = :a, b = :b WHERE id = :id', {id: 1, a: null, b: 'b'});
+            assert.deepEqual(bound.params, [null, 'b', 1]);
+
+            assert.deepEqual(Params.bind('SELECT ? FROM t', [1]), {sql: 'SELECT ? FROM t', params: [1]});
+            assert.throws(() => Params.bind('SELECT :a, :b FROM t', {a: 1}), /:b/);
+            assert.throws(() => Params.bind('SELECT :a FROM t', {a: 1, c: 2}), /:c/);
+        });
+
+        it('isLockConflict', function () {
+            assert.equal(FirebirdUtils.isLockConflict(null), false);
+            assert.equal(FirebirdUtils.isLockConflict(new Error('attempted update during read-only transaction')), false);
+            assert.equal(FirebirdUtils.isLockConflict(Object.assign(new Error('lock conflict on no wait transaction'), {code: 335544345})), true);
+            assert.equal(FirebirdUtils.isLockConflict(new Error('deadlock, update conflicts with concurrent update')), true);
+        });
+
+        it('isUniqueViolation', function () {
+            assert.equal(FirebirdUtils.isUniqueViolation(null), false);
+            assert.equal(FirebirdUtils.isUniqueViolation(Object.assign(new Error('violation of PRIMARY or UNIQUE KEY constraint "PK" on table "T"'), {code: 335544665})), true);
+            assert.equal(FirebirdUtils.isUniqueViolation(Object.assign(new Error('lock conflict on no wait transaction'), {code: 335544345})), false);
+        });
+
+        it('buildTpb', function () {
+            assert.deepEqual(FirebirdUtils.buildTpb(), [3, 9, 7, 15, 17]);
+            assert.deepEqual(FirebirdUtils.buildTpb({isolation: 'snapshot', readOnly: true, wait: true}), [3, 8, 6, 2]);
+            assert.deepEqual(FirebirdUtils.buildTpb({isolation: 'snapshotTableStability', lockTimeout: 300, noAutoUndo: true}),
+                [3, 9, 6, 21, 4, 44, 1, 0, 0, 1, 20]);
+            assert.deepEqual(FirebirdUtils.buildTpb({isolation: 'readCommittedNoRecVersion', reserve: ['ab', {table: 'c', lock: 'write', mode: 'protected'}]}),
+                [3, 9, 7, 15, 18, 10, 2, 65, 66, 3, 11, 1, 67, 4]);
+
+            assert.throws(() => FirebirdUtils.buildTpb({isolation: 'dirty'}), /уровень изоляции/);
+            assert.throws(() => FirebirdUtils.buildTpb({lockTimeout: 5, wait: false}), /ожидания блокировки/);
+            assert.throws(() => FirebirdUtils.buildTpb({reserve: [{table: 't', mode: 'public'}]}), /резервирование/);
+        });
+
+        it('onTransaction', function () {
+            const connection = fb.createConnection(options.database, options.user, options.password);
+            const tpbs = [];
+            let commits = 0;
+            connection.database = {
+                transaction: (tpb, callback) => {
+                    tpbs.push(tpb);
+                    callback(null, {commit: (cb) => cb(null, commits++)});
+                }
+            };
+
+            return connection.onTransaction({isolation: 'snapshot', wait: true}, () => Promise.resolve('ok'))
+                .then((result) => {
+                    assert.equal(result, 'ok');
+                    assert.equal(commits, 1);
+                    assert.deepEqual(tpbs, [[3, 9, 6, 2]]);
+                })
+                .then(() => connection.beginTransaction({isolation: 'unknown'}))
+                .then(() => assert.fail('Ожидалась ошибка'), (e) => assert(/уровень изоляции/.test(e.message)));
+        });
     });
 
     describe('fb.pool', function () {
@@ -305,6 +427,52 @@
                 .done();
         });
 
+        it('transaction can stream query', function (done) {
+            const connection = fb.createConnection(options.database, options.user, options.password);
+
+            connection.open()
+                .then(() => connection.getReadTransaction())
+                .then((transaction) => {
+                    const rows = [];
+                    const stream = transaction.queryStream('SELECT 1 + CAST(? AS INTEGER) AS num FROM rdb$database', [2], {batchSize: 1});
+
+                    return new Promise((resolve, reject) => {
+                        stream.on('data', (row) => rows.push(row));
+                        stream.on('end', resolve);
+                        stream.on('error', reject);
+                    })
+                        .then(() => {
+                            assert.equal(rows.length, 1);
+                            assert.equal(rows[0].num, 3);
+                        });
+                })
+                .then(() => connection.close())
+                .then(() => done())
+                .done();
+        });
+
+        it('executes query with named params', function (done) {
+            const connection = fb.createConnection(options.database, options.user, options.password);
+
+            connection.open()
+                .then(() => connection.queryRead('SELECT CAST(:a AS INTEGER) + CAST(:b AS INTEGER) AS num FROM rdb$database', {a: 1, b: 2}))
+                .then((result) => {
+                    assert.equal(result[0].num, 3);
+                })
+                .then(() => connection.prepareReadStatement('SELECT 1 + CAST(:value AS INTEGER) AS num FROM rdb$database'))
+                .then((statement) => {
+                    return statement.execute({value: 2})
+                        .then((result) => {
+                            assert.equal(result[0].num, 3);
+                            return statement.close();
+                        })
+                        .then(() => statement.drop());
+                })
+                .then(() => connection.close())
+                .then(() => done())
+                .done();
+        });
+
         it('statement can execute procedure', function (done) {
             const connection = fb.createConnection(options.database, options.user, options.password);
 
@@ -627,6 +795,276 @@
         });
     });
 
+    describe('fb.metadata.introspection', function () {
+        it('reads values of all generators with one query', function () {
+            const queries = [];
+            const connection = {
+                queryRead: (sql) => {
+                    queries.push(sql.trim());
+                    if (/rdb\$generators/.test(sql)) {
+                        return Promise.resolve([{name: 'CLIENT_GEN'}, {name: 'order_gen'}]);
+                    }
+                    return Promise.resolve([{val0: 10, val1: '20'}]);
+                }
+            };
+
+            return new Metadata(connection).getGenerators()
+                .then((generators) => {
+                    assert.deepEqual(generators, [{name: 'CLIENT_GEN', value: 10}, {name: 'order_gen', value: 20}]);
+                    assert.equal(queries.length, 2);
+                    assert.equal(queries[1], 'SELECT GEN_ID("CLIENT_GEN", 0) AS val0, GEN_ID("order_gen", 0) AS val1 FROM rdb$database');
+                });
+        });
+
+        it('can list tables and columns', function (done) {
+            const connection = fb.createConnection(options.database, options.user, options.password);
+            connection.open()
+                .then(() => connection.metadata.getTables())
+                .then((tables) => {
+                    assert(tables.some((table) => table.name === 'TEST_TABLE'), 'Existent table not found');
+                })
+                .then(() => connection.metadata.getColumns('test_table'))
+                .then((columns) => {
+                    const column = columns.find((column) => column.name === 'INT_FIELD');
+                    assert.notEqual(column, null, 'Existent column not found');
+                    assert.equal(column.type, 'INTEGER');
+                })
+                .then(() => connection.close())
+                .then(() => done())
+                .done();
+        });
+
+        it('can list procedures and generators', function (done) {
+            const connection = fb.createConnection(options.database, options.user, options.password);
+            connection.open()
+                .then(() => connection.metadata.getProcedures())
+                .then((procedures) => {
+                    const procedure = procedures.find((procedure) => procedure.name === 'TEST_PROCEDURE');
+                    assert.notEqual(procedure, null, 'Existent procedure not found');
+                    assert(procedure.outputs.some((parameter) => parameter.name === 'RETURN_VALUE'), 'Output parameter not found');
+                })
+                .then(() => connection.metadata.getGenerators())
+                .then((generators) => {
+                    const generator = generators.find((generator) => generator.name === 'TEST_GENERATOR');
+                    assert.notEqual(generator, null, 'Existent generator not found');
+                    assert.equal(typeof generator.value, 'number');
+                })
+                .then(() => connection.close())
+                .then(() => done())
+                .done();
+        });
+    });
+
+    describe('fb.stream', function () {
+        it('streams rows in batches and closes the cursor', function () {
+            const statement = createStatement(5);
+            const stream = statement.stream([], {batchSize: 2});
+            const rows = [];
+
+            return new Promise((resolve, reject) => {
+                stream.on('data', (row) => rows.push(row.num));
+                stream.on('end', resolve);
+                stream.on('error', reject);
+            })
+                .then(() => {
+                    assert.deepEqual(rows, [1, 2, 3, 4, 5]);
+                    assert.equal(statement.statement.fetches, 3);
+                    assert.equal(statement.statement.closed, true);
+                });
+        });
+
+        it('closes the cursor when destroyed', function () {
+            const statement = createStatement(100);
+            const stream = statement.stream([], {batchSize: 10});
+
+            return new Promise((resolve) => {
+                stream.once('data', () => stream.destroy());
+                stream.on('close', resolve);
+            })
+                .then(() => {
+                    assert.equal(statement.statement.closed, true);
+                    assert(statement.statement.fetches < 10, 'Stream must not fetch all rows');
+                });
+        });
+
+        it('closes the cursor and drops statement when destroyed before the first batch', function () {
+            const driverStatement = createStatement(5).statement;
+            const tr = new Transaction({}, {
+                newStatement: (sql, callback) => setTimeout(() => callback(null, driverStatement), 10)
+            });
+            const stream = tr.queryStream('SELECT num FROM test');
+            stream.on('data', () => assert.fail('Строки не должны читаться после уничтожения потока'));
+
+            return Promise.delay(2)
+                .then(() => stream.destroy())
+                .then(() => Promise.delay(30))
+                .then(() => {
+                    assert.equal(driverStatement.fetches, 0);
+                    assert.equal(driverStatement.closed, true);
+                    assert.equal(driverStatement.dropped, true);
+                });
+        });
+
+        it('does not close the cursor of non-SELECT statement', function () {
+            const statement = createStatement(0);
+            statement.statement.type = 2;
+            statement.statement.output = [];
+            statement.transactionWrapper._record = () => {};
+
+            return new Promise((resolve, reject) => {
+                const stream = statement.stream([]);
+                stream.on('data', () => {});
+                stream.on('end', resolve);
+                stream.on('error', reject);
+            })
+                .then(() => assert.equal(statement.statement.closed, false));
+        });
+    });
+
+    describe('fb.batch', function () {
+        function createConnection(statement) {
+            const connection = fb.createConnection(options.database, options.user, options.password);
+            connection.prepareReadStatement = () => Promise.resolve(statement);
+            return connection;
+        }
+
+        it('processes query result in batches', function () {
+            const statement = createStatement(5);
+
+            const batches = [];
+            return createConnection(statement).forEachBatch('SELECT num FROM test', [], 2, (rows) => {
+                return Promise.delay(1).then(() => batches.push(rows.map((row) => row.num)));
+            })
+                .then((stats) => {
+                    assert.deepEqual(batches, [[1, 2], [3, 4], [5]]);
+                    assert.deepEqual(stats, {rows: 5, batches: 3, aborted: false});
+                    assert.equal(statement.statement.closed, true);
+                    assert.equal(statement.statement.dropped, true);
+                });
+        });
+
+        it('stops when handler returns false', function () {
+            const statement = createStatement(10);
+
+            return createConnection(statement).forEachBatch('SELECT num FROM test', [], 3, () => false)
+                .then((stats) => {
+                    assert.deepEqual(stats, {rows: 3, batches: 1, aborted: true});
+                    assert.equal(statement.statement.fetches, 1);
+                    assert.equal(statement.statement.closed, true);
+                });
+        });
+    });
+
+    describe('fb.diff', function () {
+        const column = (name, type, nullable) => ({name, type, nullable: nullable !== false, default: null, domain: null});
+        const table = (name, columns, extra) => Object.assign({
+            name,
+            columns,
+            indices: [],
+            primaryKey: {name: 'PK_' + name, index: 'PK_' + name, columns: ['ID']},
+            foreignKeys: []
+        }, extra);
+
+        const reference = {
+            tables: [
+                table('CLIENT', [column('ID', 'BIGINT', false), column('NAME', 'VARCHAR(255)'), column('EMAIL', 'VARCHAR(255)')], {
+                    indices: [{name: 'CLIENT_IDX_NAME', columns: ['NAME'], unique: false, descending: false, active: true}]
+                }),
+                table('ORDERS', [column('ID', 'BIGINT', false), column('CLIENT_ID', 'BIGINT')], {
+                    foreignKeys: [{name: 'FK_ORDERS_CLIENT', columns: ['CLIENT_ID'], refTable: 'CLIENT', refColumns: ['ID'], onUpdate: 'RESTRICT', onDelete: 'CASCADE'}]
+                })
+            ],
+            procedures: [],
+            triggers: [{name: 'CLIENT_BI', table: 'CLIENT', event: 'BEFORE INSERT', position: 0, active: true, source: 'AS BEGIN END'}],
+            generators: [{name: 'CLIENT_GEN'}]
+        };
+
+        const actual = {
+            tables: [
+                table('CLIENT', [column('ID', 'BIGINT', false), column('NAME', 'VARCHAR(100)'), column('PHONE', 'VARCHAR(20)')]),
+                table('LEGACY', [column('ID', 'INTEGER', false)])
+            ],
+            procedures: [],
+            triggers: [{name: 'CLIENT_BI', table: 'CLIENT', event: 'BEFORE INSERT', position: 0, active: true, source: 'AS\nBEGIN\nEND'}],
+            generators: []
+        };
+
+        it('compares snapshots', function () {
+            const report = fb.compareSnapshots(reference, actual);
+
+            assert.deepEqual(report.tables.added.map((t) => t.name), ['LEGACY']);
+            assert.deepEqual(report.tables.removed.map((t) => t.name), ['ORDERS']);
+            assert.deepEqual(report.tables.changed.map((t) => t.name), ['CLIENT']);
+
+            const client = report.tables.changed[0];
+            assert.deepEqual(client.columns.added.map((c) => c.name), ['PHONE']);
+            assert.deepEqual(client.columns.removed.map((c) => c.name), ['EMAIL']);
+            assert.deepEqual(client.columns.changed.map((c) => c.name), ['NAME']);
+            assert.deepEqual(client.indices.removed.map((i) => i.name), ['CLIENT_IDX_NAME']);
+            assert.equal(client.primaryKey, null);
+
+            assert.equal(report.triggers.changed.length, 0, 'Whitespace differences must be ignored');
+            assert.deepEqual(report.generators.removed.map((g) => g.name), ['CLIENT_GEN']);
+            assert.equal(report.ddl, undefined);
+        });
+
+        it('generates DDL to bring schema in line with reference', function () {
+            const report = fb.compareSnapshots(reference, actual, {ddl: true});
+
+            assert.deepEqual(report.ddl, [
+                'DROP TABLE LEGACY',
+                'ALTER TABLE CLIENT DROP PHONE',
+                'CREATE GENERATOR CLIENT_GEN',
+                'CREATE TABLE ORDERS (\n  ID BIGINT NOT NULL,\n  CLIENT_ID BIGINT,\n  CONSTRAINT PK_ORDERS PRIMARY KEY (ID)\n)',
+                'ALTER TABLE CLIENT ADD EMAIL VARCHAR(255)',
+                'ALTER TABLE CLIENT ALTER NAME TYPE VARCHAR(255)',
+                'CREATE INDEX CLIENT_IDX_NAME ON CLIENT (NAME)',
+                'ALTER TABLE ORDERS ADD CONSTRAINT FK_ORDERS_CLIENT FOREIGN KEY (CLIENT_ID) REFERENCES CLIENT (ID) ON DELETE CASCADE'
+            ]);
+        });
+
+        it('compares unique and check constraints and drops foreign keys referencing dropped keys', function () {
+            const columns = [column('ID', 'BIGINT', false), column('EMAIL', 'VARCHAR(255)'), column('NAME', 'VARCHAR(255)')];
+            const orders = table('ORDERS', [column('ID', 'BIGINT', false), column('CLIENT_ID', 'BIGINT')], {
+                foreignKeys: [{name: 'FK_ORDERS_CLIENT', columns: ['CLIENT_ID'], refTable: 'CLIENT', refColumns: ['ID'], onUpdate: 'RESTRICT', onDelete: 'RESTRICT'}]
+            });
+            const referenceSchema = {
+                tables: [
+                    table('CLIENT', columns, {
+                        primaryKey: null,
+                        uniqueConstraints: [{name: 'UQ_CLIENT_ID', columns: ['ID']}],
+                        checkConstraints: [{name: 'CHK_CLIENT_NAME', source: "CHECK (NAME <> '')"}]
+                    }),
+                    orders
+                ]
+            };
+            const actualSchema = {
+                tables: [
+                    table('CLIENT', columns, {
+                        uniqueConstraints: [{name: 'UQ_CLIENT_EMAIL', columns: ['EMAIL']}],
+                        checkConstraints: [{name: 'CHK_CLIENT_NAME', source: 'CHECK (NAME IS NOT NULL)'}]
+                    }),
+                    orders
+                ]
+            };
+
+            const report = fb.compareSnapshots(referenceSchema, actualSchema, {ddl: true});
+            const client = report.tables.changed[0];
+            assert.deepEqual(client.uniqueConstraints.added.map((c) => c.name), ['UQ_CLIENT_EMAIL']);
+            assert.deepEqual(client.uniqueConstraints.removed.map((c) => c.name), ['UQ_CLIENT_ID']);
+            assert.deepEqual(client.checkConstraints.changed.map((c) => c.name), ['CHK_CLIENT_NAME']);
+            assert.deepEqual(report.ddl, [
+                'ALTER TABLE ORDERS DROP CONSTRAINT FK_ORDERS_CLIENT',
+                'ALTER TABLE CLIENT DROP CONSTRAINT PK_CLIENT',
+                'ALTER TABLE CLIENT DROP CONSTRAINT UQ_CLIENT_EMAIL',
+                'ALTER TABLE CLIENT DROP CONSTRAINT CHK_CLIENT_NAME',
+                'ALTER TABLE CLIENT ADD CONSTRAINT UQ_CLIENT_ID UNIQUE (ID)',
+                "ALTER TABLE CLIENT ADD CONSTRAINT CHK_CLIENT_NAME CHECK (NAME <> '')",
+                'ALTER TABLE ORDERS ADD CONSTRAINT FK_ORDERS_CLIENT FOREIGN KEY (CLIENT_ID) REFERENCES CLIENT (ID)'
+            ]);
+        });
+    });
+
     describe('fb.migration', function () {
         before(function (done) {
             dropMigrationTable(done);
@@ -690,4 +1128,1338 @@
                 .done();
         }
     });
-})();
\ No newline at end of file
+
+    describe('fb.schema', function () {
+        /**
+         * Транзакция-заглушка: объекты из existing считаются существующими, DDL запросы записываются.
+         * Созданные таблицы становятся видны проверкам существования на этой же транзакции.
+         */
+        function createTransaction(existing) {
+            existing = existing.map((name) => name.toUpperCase());
+            const queries = [];
+            const driverTransaction = {
+                query: (sql, params, callback) => {
+                    if (/^\s*SELECT rdb\$/.test(sql)) {
+                        const name = params.join('.');
+                        return callback(null, existing.indexOf(name) >= 0 ? [{name}] : []);
+                    }
+
+                    queries.push(sql);
+                    const created = /^CREATE TABLE "?([^\s"]+)/.exec(sql);
+                    if (created) {
+                        existing.push(created[1].toUpperCase());
+                    }
+                    callback(null, []);
+                }
+            };
+
+            const connection = {};
+            connection.metadata = new Metadata(connection);
+            const tr = new Transaction(connection, driverTransaction);
+            tr.queries = queries;
+            return tr;
+        }
+
+        it('generates DDL only for missing objects', function () {
+            const tr = createTransaction(['client', 'client.name', 'client_gen']);
+
+            return Promise.resolve()
+                .then(() => tr.schema.createTable('client', {id: 'BIGINT NOT NULL'}, {primaryKey: 'id'}))
+                .then((created) => assert.equal(created, false))
+                .then(() => tr.schema.addColumn('client', 'name', 'VARCHAR(255)'))
+                .then((created) => assert.equal(created, false))
+                .then(() => tr.schema.createGenerator('client_gen'))
+                .then((created) => assert.equal(created, false))
+                .then(() => tr.schema.dropColumn('client', 'phone'))
+                .then((dropped) => assert.equal(dropped, false))
+                .then(() => assert.deepEqual(tr.queries, []));
+        });
+
+        it('generates Firebird DDL', function () {
+            const tr = createTransaction(['client.phone']);
+
+            return Promise.resolve()
+                .then(() => tr.schema.createTable('client', {
+                    id: 'BIGINT NOT NULL',
+                    name: {type: 'VARCHAR(255)', notNull: true, default: "''"}
+                }, {primaryKey: 'id'}))
+                .then(() => tr.schema.addColumn('client', 'email', {type: 'VARCHAR(255)'}))
+                .then(() => tr.schema.dropColumn('client', 'phone'))
+                .then(() => tr.schema.createIndex('client_idx_name', 'client', ['name', 'email'], {unique: true}))
+                .then(() => tr.schema.createGenerator('client_gen'))
+                .then(() => tr.schema.createTrigger('client_bi', 'client', 'BEFORE INSERT', 'AS BEGIN NEW.id = GEN_ID(client_gen, 1); END', {position: 0}))
+                .then(() => tr.schema.addForeignKey('orders', 'fk_orders_client', 'client_id', 'client', 'id', {onDelete: 'CASCADE'}))
+                .then(() => tr.schema.createDomain('d_money', {type: 'NUMERIC(18, 2)', check: 'VALUE >= 0'}))
+                .then(() => tr.schema.createException('e_client', "Client isn't valid"))
+                .then(() => {
+                    assert.deepEqual(tr.queries, [
+                        'CREATE TABLE client (\n  id BIGINT NOT NULL,\n  name VARCHAR(255) DEFAULT \'\' NOT NULL,\n  CONSTRAINT pk_client PRIMARY KEY (id)\n)',
+                        'ALTER TABLE client ADD email VARCHAR(255)',
+                        'ALTER TABLE client DROP phone',
+                        'CREATE UNIQUE INDEX client_idx_name ON client (name, email)',
+                        'CREATE GENERATOR client_gen',
+                        'CREATE TRIGGER client_bi FOR client ACTIVE BEFORE INSERT POSITION 0\nAS BEGIN NEW.id = GEN_ID(client_gen, 1); END',
+                        'ALTER TABLE orders ADD CONSTRAINT fk_orders_client FOREIGN KEY (client_id) REFERENCES client (id) ON DELETE CASCADE',
+                        'CREATE DOMAIN d_money AS NUMERIC(18, 2) CHECK (VALUE >= 0)',
+                        'CREATE EXCEPTION e_client \'Client isn\'\'t valid\''
+                    ]);
+                });
+        });
+
+        it('sees objects created earlier on the same transaction and quotes identifiers', function () {
+            const tr = createTransaction([]);
+            const script = tr.startRecording();
+
+            return Promise.resolve()
+                .then(() => tr.schema.createTable('user', {id: 'BIGINT NOT NULL', order: 'INTEGER'}, {primaryKey: 'id'}))
+                .then((created) => assert.equal(created, true))
+                .then(() => tr.schema.createTable('user', {id: 'BIGINT NOT NULL'}))
+                .then((created) => assert.equal(created, false))
+                .then(() => tr.schema.createIndex('user_idx_order', 'user', 'order'))
+                .then(() => {
+                    assert.deepEqual(tr.queries, [
+                        'CREATE TABLE "USER" (\n  id BIGINT NOT NULL,\n  "ORDER" INTEGER,\n  CONSTRAINT pk_user PRIMARY KEY (id)\n)',
+                        'CREATE INDEX user_idx_order ON "USER" ("ORDER")'
+                    ]);
+                    // Проверки существования не попадают в журнал запросов
+                    assert.deepEqual(script.map((entry) => entry.sql), tr.queries);
+                });
+        });
+    });
+
+    describe('fb.repository', function () {
+        function Client(data) {
+            this.id = data.id;
+            this.name = data.name;
+            this.createdAt = data.createdAt;
+        }
+
+        /**
+         * Соединение-заглушка: запросы записываются, результат берется из results по порядку
+         */
+        function createRepository(results) {
+            const queries = [];
+            const tr = {
+                query: (sql, params) => {
+                    queries.push({sql, params});
+                    return Promise.resolve(results.shift());
+                }
+            };
+            const connection = {
+                queryRead: tr.query,
+                onWriteTransaction: (action) => action(tr)
+            };
+
+            const repository = new fb.Repository(connection, {
+                table: 'client',
+                generator: 'client_gen',
+                columns: {id: 'id', name: 'name', createdAt: 'createdate'},
+                factory: Client
+            });
+            repository.queries = queries;
+            return repository;
+        }
+
+        it('reads objects through factory', function () {
+            const repository = createRepository([
+                [{id: 1, name: 'a', createdate: 10}],
+                [{id: 1, name: 'a', createdate: 10}, {id: 2, name: 'b', createdate: 20}],
+                [{cnt: 2}]
+            ]);
+
+            return Promise.resolve()
+                .then(() => repository.findById(1))
+                .then((client) => {
+                    assert(client instanceof Client);
+                    assert.deepEqual(client, {id: 1, name: 'a', createdAt: 10});
+                })
+                .then(() => repository.findMany({'name LIKE': 'a%', createdAt: [10, 20]}, {size: 10, skip: 0}, ['-createdAt', 'id']))
+                .then((clients) => assert.deepEqual(clients.map((client) => client.createdAt), [10, 20]))
+                .then(() => repository.count({name: null}))
+                .then((count) => assert.equal(count, 2))
+                .then(() => assert.deepEqual(repository.queries, [
+                    {sql: 'SELECT id, name, createdate FROM client WHERE id = ?', params: [1]},
+                    {
+                        sql: 'SELECT id, name, createdate FROM client WHERE (name LIKE ?) AND (createdate IN (?, ?)) ' +
+                        'ORDER BY createdate DESC, id ASC ROWS 1 TO 10',
+                        params: ['a%', 10, 20]
+                    },
+                    {sql: 'SELECT COUNT(*) AS cnt FROM client WHERE name IS NULL', params: []}
+                ]));
+        });
+
+        it('writes objects', function () {
+            const repository = createRepository([
+                {id: 5, name: 'a', createdate: 10},
+                {id: 5},
+                {id: null},
+                {id: 5, name: 'b', createdate: 10},
+                [{id: 5}]
+            ]);
+
+            return Promise.resolve()
+                .then(() => repository.insert({name: 'a'}))
+                .then((client) => assert.deepEqual(client, {id: 5, name: 'a', createdAt: 10}))
+                .then(() => repository.update(5, {name: 'b'}))
+                .then((updated) => assert.equal(updated, true))
+                .then(() => repository.update(6, {name: 'b'}))
+                .then((updated) => assert.equal(updated, false))
+                .then(() => repository.upsert({id: 5, name: 'b'}))
+                .then((client) => assert.equal(client.name, 'b'))
+                .then(() => repository.delete(5))
+                .then((deleted) => assert.equal(deleted, true))
+                .then(() => assert.deepEqual(repository.queries.map((query) => query.sql), [
+                    'INSERT INTO client (name, id) VALUES (?, GEN_ID(client_gen, 1)) RETURNING id, name, createdate',
+                    'UPDATE client SET name = ? WHERE id = ? RETURNING id',
+                    'UPDATE client SET name = ? WHERE id = ? RETURNING id',
+                    'UPDATE OR INSERT INTO client (id, name) VALUES (?, ?) MATCHING (id) RETURNING id, name, createdate',
+                    'DELETE FROM client WHERE id = ? RETURNING id'
+                ]));
+        });
+
+        it('rejects invalid filter', function () {
+            return createRepository([]).findMany({'name; DROP': 1})
+                .then(() => assert.fail('Ожидалась ошибка'), (e) => assert(/Неверное условие/.test(e.message)));
+        });
+
+        it('rejects sort and filter by properties missing in columns', function () {
+            const repository = createRepository([]);
+
+            return repository.findMany({}, null, '-id; DROP TABLE client')
+                .then(() => assert.fail('Ожидалась ошибка'), (e) => {
+                    assert.equal(e.status, 400);
+                    assert(/Неверная сортировка: неизвестное свойство id; DROP TABLE client/.test(e.message));
+                })
+                .then(() => repository.count({'password': 'x'}))
+                .then(() => assert.fail('Ожидалась ошибка'), (e) => {
+                    assert.equal(e.status, 400);
+                    assert(/неизвестное свойство password/.test(e.message));
+                })
+                .then(() => assert.deepEqual(repository.queries, []));
+        });
+    });
+
+    describe('fb.retry', function () {
+        function createConnection() {
+            const connection = fb.createConnection(options.database, options.user, options.password);
+            connection.stats = {commits: 0, rollbacks: 0};
+            connection.getWriteTransaction = () => Promise.resolve({
+                commit: () => Promise.resolve(connection.stats.commits++),
+                rollback: () => Promise.resolve(connection.stats.rollbacks++)
+            });
+            return connection;
+        }
+
+        function conflict() {
+            const e = new Error('lock conflict on no wait transaction');
+            e.code = 335544345;
+            return e;
+        }
+
+        it('retries action on lock conflict', function () {
+            const connection = createConnection();
+            const attempts = [];
+            const retries = [];
+
+            return connection.onWriteTransaction((tr, attempt) => {
+                attempts.push(attempt);
+                return attempt < 3 ? Promise.reject(conflict()) : Promise.resolve('ok');
+            }, {retry: {attempts: 3, delay: 1, onRetry: (e, attempt) => retries.push(attempt)}})
+                .then((result) => {
+                    assert.equal(result, 'ok');
+                    assert.deepEqual(attempts, [1, 2, 3]);
+                    assert.deepEqual(retries, [1, 2]);
+                    assert.deepEqual(connection.stats, {commits: 1, rollbacks: 2});
+                });
+        });
+
+        it('gives up after max attempts', function () {
+            const connection = createConnection();
+
+            return connection.onWriteTransaction(() => Promise.reject(conflict()), {retry: {attempts: 2, delay: 1}})
+                .then(() => assert.fail('Ожидалась ошибка'), (e) => {
+                    assert.equal(e.code, 335544345);
+                    assert.equal(e.attempts, 2);
+                    assert.deepEqual(connection.stats, {commits: 0, rollbacks: 2});
+                });
+        });
+
+        it('does not retry other errors', function () {
+            const connection = createConnection();
+            let calls = 0;
+
+            return connection.onWriteTransaction(() => {
+                calls++;
+                return Promise.reject(new Error('fail'));
+            }, {retry: true})
+                .then(() => assert.fail('Ожидалась ошибка'), (e) => {
+                    assert.equal(e.message, 'fail');
+                    assert.equal(e.attempts, 1);
+                    assert.equal(calls, 1);
+                });
+        });
+
+        it('retries only configured codes', function () {
+            const connection = createConnection();
+            let calls = 0;
+
+            return connection.onWriteTransaction(() => {
+                calls++;
+                return Promise.reject(conflict());
+            }, {retry: {codes: [335544336], delay: 1}})
+                .then(() => assert.fail('Ожидалась ошибка'), () => assert.equal(calls, 1));
+        });
+
+        it('computes backoff with jitter', function () {
+            const Retry = require('../app/firebird/retry');
+            const policy = Retry.createPolicy({delay: 100, maxDelay: 300, jitter: 0.5});
+
+            for (let i = 0; i < 20; i++) {
+                const delay = Retry.getDelay(policy, 2);
+                assert(delay >= 100 && delay <= 200, delay);
+                assert(Retry.getDelay(policy, 5) <= 300);
+            }
+            assert.equal(Retry.getDelay(Retry.createPolicy({delay: 100, jitter: 0}), 3), 400);
+            assert.equal(Retry.createPolicy(false), null);
+        });
+    });
+
+    describe('fb.savepoints', function () {
+        function createTransaction() {
+            const queries = [];
+            const tr = new Transaction({}, {
+                query: (sql, params, callback) => {
+                    queries.push(sql);
+                    callback(null, []);
+                }
+            });
+            tr.queries = queries;
+            return tr;
+        }
+
+        it('savepoint commands', function () {
+            const tr = createTransaction();
+
+            return tr.savepoint('sp1')
+                .then(() => tr.rollbackToSavepoint('sp1'))
+                .then(() => tr.releaseSavepoint('sp1'))
+                .then(() => assert.deepEqual(tr.queries, ['SAVEPOINT sp1', 'ROLLBACK TO SAVEPOINT sp1', 'RELEASE SAVEPOINT sp1']))
+                .then(() => tr.savepoint('sp1; COMMIT'))
+                .then(() => assert.fail('Ожидалась ошибка'), (e) => assert(/точки сохранения/.test(e.message)));
+        });
+
+        it('nested scopes', function () {
+            const tr = createTransaction();
+            const error = new Error('fail');
+
+            return tr.nested((inner) => {
+                return inner.query('UPDATE a SET x = 1')
+                    .then(() => inner.nested(() => tr.query('UPDATE b SET x = 1').then(() => Promise.reject(error))))
+                    .catch((e) => assert.strictEqual(e, error))
+                    .then(() => 'ok');
+            })
+                .then((result) => {
+                    assert.equal(result, 'ok');
+                    assert.deepEqual(tr.queries, [
+                        'SAVEPOINT sp_nested_1',
+                        'UPDATE a SET x = 1',
+                        'SAVEPOINT sp_nested_2',
+                        'UPDATE b SET x = 1',
+                        'ROLLBACK TO SAVEPOINT sp_nested_2',
+                        'RELEASE SAVEPOINT sp_nested_2',
+                        'RELEASE SAVEPOINT sp_nested_1'
+                    ]);
+                });
+        });
+    });
+
+    describe('fb.readTransaction', function () {
+        /**
+         * Соединение с БД-заглушкой: каждая транзакция получает номер, запрос возвращает номер транзакции
+         */
+        function createConnection(readTransaction) {
+            const connection = fb.createConnection(options.database, options.user, options.password, {readTransaction});
+            connection.started = 0;
+            connection.committed = [];
+            connection.database = {
+                transaction: (tpb, callback) => {
+                    const id = ++connection.started;
+                    callback(null, {
+                        query: (sql, params, cb) => setTimeout(() => cb(null, [{id}]), params[0] || 0),
+                        newStatement: (sql, cb) => cb(null, {drop: (cb) => cb(null)}),
+                        commit: (cb) => cb(null, connection.committed.push(id))
+                    });
+                }
+            };
+            return connection;
+        }
+
+        it('rotates after max queries', function () {
+            const connection = createConnection({maxQueries: 2});
+
+            return Promise.mapSeries([1, 2, 3, 4, 5], () => connection.queryRead('SELECT 1 FROM rdb$database', []))
+                .then((results) => {
+                    assert.deepEqual(results.map((rows) => rows[0].id), [1, 1, 2, 2, 3]);
+                    assert.deepEqual(connection.committed, [1, 2]);
+                    const stats = connection.getReadTransactionStats();
+                    assert.deepEqual([stats.queries, stats.active, stats.refreshes], [1, 0, 2]);
+                    assert(stats.age >= 0);
+                });
+        });
+
+        it('does not rotate while queries are in flight', function () {
+            const connection = createConnection({maxAge: 1});
+
+            return connection.queryRead('SELECT 1 FROM rdb$database', [])
+                .then(() => Promise.delay(5))
+                .then(() => {
+                    const slow = connection.queryRead('SELECT 1 FROM rdb$database', [20]);
+                    const fast = Promise.delay(5).then(() => connection.queryRead('SELECT 1 FROM rdb$database', []));
+                    return Promise.all([slow, fast]);
+                })
+                .then((results) => {
+                    assert.deepEqual(results.map((rows) => rows[0].id), [2, 2]);
+                    assert.deepEqual(connection.committed, [1]);
+                });
+        });
+
+        it('does not rotate while prepared read statement or read action is in use', function () {
+            const connection = createConnection({maxQueries: 1});
+            let statement;
+
+            return connection.prepareReadStatement('SELECT 1 FROM rdb$database')
+                .then((prepared) => {
+                    statement = prepared;
+                    return connection.queryRead('SELECT 1 FROM rdb$database', []);
+                })
+                .then((rows) => {
+                    assert.equal(rows[0].id, 1);
+                    assert.deepEqual(connection.committed, []);
+                    return statement.drop();
+                })
+                .then(() => Promise.all([
+                    connection.onReadTransaction((tr) => Promise.delay(10).then(() => tr.query('SELECT 1 FROM rdb$database', []))),
+                    Promise.delay(2).then(() => connection.queryRead('SELECT 1 FROM rdb$database', []))
+                ]))
+                .then((results) => {
+                    assert.deepEqual(results.map((rows) => rows[0].id), [2, 2]);
+                    assert.deepEqual(connection.committed, [1]);
+                });
+        });
+
+        it('forced refresh', function () {
+            const connection = createConnection();
+
+            return connection.refreshReadTransaction()
+                .then((refreshed) => assert.equal(refreshed, false))
+                .then(() => connection.queryRead('SELECT 1 FROM rdb$database', []))
+                .then(() => {
+                    const query = connection.queryRead('SELECT 1 FROM rdb$database', [10]);
+                    return connection.refreshReadTransaction()
+                        .then((refreshed) => assert.equal(refreshed, false))
+                        .then(() => query);
+                })
+                .then(() => connection.queryRead('SELECT 1 FROM rdb$database', []))
+                .then((rows) => {
+                    assert.equal(rows[0].id, 2);
+                    return connection.refreshReadTransaction();
+                })
+                .then((refreshed) => {
+                    assert.equal(refreshed, true);
+                    assert.deepEqual(connection.committed, [1, 2]);
+                    assert.equal(connection.getReadTransactionStats().refreshes, 2);
+                });
+        });
+    });
+
+    describe('fb.timeout', function () {
+        /**
+         * Соединение с БД-заглушкой: запрос выполняется params[0] мс
+         */
+        function createConnection(timeout) {
+            const connection = fb.createConnection(options.database, options.user, options.password, {timeout});
+            connection.rollbacks = 0;
+            connection.database = {
+                transaction: (tpb, callback) => {
+                    callback(null, {
+                        query: (sql, params, cb) => setTimeout(() => cb(null, [{ok: 1}]), params[0]),
+                        commit: (cb) => cb(null),
+                        rollback: (cb) => cb(null, connection.rollbacks++)
+                    });
+                }
+            };
+            return connection;
+        }
+
+        it('rejects with QueryTimeoutError and marks connection broken', function () {
+            const connection = createConnection();
+
+            return connection.queryRead('SELECT 1 FROM rdb$database', [1], {timeout: 50})
+                .then((rows) => assert.deepEqual(rows, [{ok: 1}]))
+                .then(() => connection.queryWrite('SELECT 1 FROM rdb$database', [100], {timeout: 10}))
+                .then(() => assert.fail('Ожидалась ошибка'), (e) => {
+                    assert(e instanceof fb.QueryTimeoutError);
+                    assert.equal(e.timeout, 10);
+                    assert.equal(e.sql, 'SELECT 1 FROM rdb$database');
+                    assert.equal(connection.isBroken(), true);
+                    assert.equal(connection.rollbacks, 0);
+                });
+        });
+
+        it('uses connection default timeout', function () {
+            const connection = createConnection(10);
+
+            return connection.onWriteTransaction((tr) => tr.query('SELECT 1 FROM rdb$database', [100]))
+                .then(() => assert.fail('Ожидалась ошибка'), (e) => {
+                    assert(e instanceof fb.QueryTimeoutError);
+                    assert.equal(connection.isBroken(), true);
+                });
+        });
+
+        it('pool does not reuse broken connection', function () {
+            const pool = fb.createPool(options.database, options.user, options.password);
+            const connection = createConnection();
+            connection.markBroken(new Error('broken'));
+            connection.close = () => Promise.delay(1000);
+
+            return pool._factory.validate(connection)
+                .then((valid) => assert.equal(valid, false))
+                .then(() => pool.drain())
+                .then(() => pool.clear());
+        });
+
+        it('pool destroys socket of broken connection instead of waiting for detach', function () {
+            const pool = fb.createPool(options.database, options.user, options.password);
+            const connection = createConnection();
+            const socket = {destroyed: false, destroy: () => socket.destroyed = true};
+            connection.database.connection = {_socket: socket};
+            connection.database.detach = () => assert.fail('Сломанное соединение не должно отключаться через detach');
+            connection.markBroken(new Error('broken'));
+
+            return pool.connectionFactory.destroy(connection)
+                .then(() => {
+                    assert.equal(socket.destroyed, true);
+                    assert.equal(connection.isConnected(), false);
+                })
+                .then(() => pool.drain());
+        });
+    });
+
+    describe('fb.instrumentation', function () {
+        const Log = require('../app/log');
+
+        function createConnection(connectionOptions) {
+            const connection = fb.createConnection(options.database, options.user, options.password, connectionOptions);
+            connection.database = {
+                transaction: (tpb, callback) => {
+                    callback(null, {
+                        query: (sql, params, cb) => {
+                            if (params[0] === 'fail') {
+                                return cb(new Error('fail'));
+                            }
+                            setTimeout(() => cb(null, [{a: 1}, {a: 2}]), params[0] || 0);
+                        },
+                        commit: (cb) => cb(null),
+                        rollback: (cb) => cb(null)
+                    });
+                }
+            };
+            return connection;
+        }
+
+        it('emits query events', function () {
+            const connection = createConnection();
+            const events = [];
+            connection.on('query', (event) => events.push(event));
+
+            return connection.queryRead('SELECT a FROM t WHERE b = :b', {b: 5})
+                .then(() => connection.queryWrite('UPDATE t SET a = ?', ['fail']))
+                .catch((e) => assert.equal(e.message, 'fail'))
+                .then(() => {
+                    assert.equal(events.length, 2);
+                    assert.equal(events[0].sql, 'SELECT a FROM t WHERE b = ?');
+                    assert.deepEqual(events[0].params, [5]);
+                    assert.equal(events[0].rows, 2);
+                    assert.equal(events[0].transactionKind, 'read');
+                    assert.equal(events[0].error, null);
+                    assert(events[0].durationMs >= 0);
+                    assert.equal(events[1].transactionKind, 'write');
+                    assert.equal(events[1].error.message, 'fail');
+                });
+        });
+
+        it('logs slow queries with redacted params', function () {
+            const connection = createConnection({slowQuery: {threshold: 20}});
+            const warnings = [];
+            const warn = Log.warn;
+            Log.warn = function () {
+                warnings.push(Array.prototype.slice.call(arguments));
+            };
+
+            return connection.queryRead('SELECT a FROM t WHERE b = ?', [0])
+                .then(() => connection.queryRead('SELECT a FROM t WHERE b = ? AND c = ?', [30, null]))
+                .finally(() => {
+                    Log.warn = warn;
+                })
+                .then(() => {
+                    assert.equal(warnings.length, 1);
+                    assert.equal(warnings[0][5], 'SELECT a FROM t WHERE b = ? AND c = ?');
+                    assert.deepEqual(warnings[0][6], ['***', null]);
+                });
+        });
+
+        it('redactParams', function () {
+            const Instrumentation = require('../app/firebird/instrumentation');
+
+            assert.deepEqual(Instrumentation.redactParams([1, 'a'], '', true), ['***', '***']);
+            assert.deepEqual(Instrumentation.redactParams([1, 'a'], '', false), [1, 'a']);
+            assert.deepEqual(Instrumentation.redactParams([1, 'secret'], '', (params) => [params[0], '-']), [1, '-']);
+        });
+    });
+
+    describe('fb.statementCache', function () {
+        /**
+         * Соединение с БД-заглушкой: записывает операции над statements
+         */
+        function createConnection(size) {
+            const connection = fb.createConnection(options.database, options.user, options.password, {statementCache: {size}});
+            const log = connection.log = [];
+            connection.database = {
+                transaction: (tpb, callback) => {
+                    callback(null, {
+                        newStatement: (sql, cb) => {
+                            log.push('prepare ' + sql);
+                            cb(null, {
+                                type: 1,
+                                output: [{}],
+                                execute: (tr, params, cb) => cb(null),
+                                fetchAll: (tr, cb) => cb(null, [{sql}]),
+                                close: (cb) => cb(null, log.push('close ' + sql)),
+                                drop: (cb) => cb(null, log.push('drop ' + sql))
+                            });
+                        },
+                        commit: (cb) => cb(null, log.push('commit'))
+                    });
+                }
+            };
+            return connection;
+        }
+
+        function run(connection, sql) {
+            return connection.prepareReadStatement(sql)
+                .then((statement) => statement.execute([])
+                    .finally(() => statement.drop()));
+        }
+
+        it('reuses statements and drops evicted ones', function () {
+            const connection = createConnection(2);
+
+            return Promise.mapSeries(['A', 'B', 'A', 'C', 'B'], (sql) => run(connection, sql))
+                .then((results) => {
+                    assert.deepEqual(results.map((rows) => rows[0].sql), ['A', 'B', 'A', 'C', 'B']);
+                    assert.deepEqual(connection.log, [
+                        'prepare A', 'close A',
+                        'prepare B', 'close B',
+                        'close A',
+                        'prepare C', 'drop B', 'close C',
+                        'prepare B', 'drop A', 'close B'
+                    ]);
+                    assert.deepEqual(connection.getStatementCacheStats(), {size: 2, maxSize: 2, hits: 1, misses: 4, evictions: 2});
+                });
+        });
+
+        it('does not share busy statements', function () {
+            const connection = createConnection(5);
+
+            return Promise.all([connection.prepareReadStatement('A'), connection.prepareReadStatement('A')])
+                .then((statements) => {
+                    assert.notStrictEqual(statements[0], statements[1]);
+                    assert.equal(statements[0].cache != null, true);
+                    assert.equal(statements[1].cache, null);
+                    return Promise.each(statements, (statement) => statement.drop());
+                })
+                .then(() => assert.deepEqual(connection.log, ['prepare A', 'prepare A', 'drop A']));
+        });
+
+        it('invalidates statements on read transaction refresh', function () {
+            const connection = createConnection(5);
+
+            return run(connection, 'A')
+                .then(() => connection.refreshReadTransaction())
+                .then(() => run(connection, 'A'))
+                .then(() => {
+                    assert.deepEqual(connection.log, ['prepare A', 'close A', 'drop A', 'commit', 'prepare A', 'close A']);
+                    assert.equal(connection.getStatementCacheStats().hits, 0);
+                });
+        });
+    });
+
+    describe('fb.executeBatch', function () {
+        /**
+         * Транзакция-заглушка: строка с параметром 'bad' нарушает уникальный ключ,
+         * блок завершается ошибкой blockError, если она задана
+         */
+        function createTransaction(blockError) {
+            const log = [];
+            const driverTransaction = {
+                query: (sql, params, cb) => {
+                    log.push(sql);
+                    cb(blockError || (sql.indexOf("'bad'") >= 0 ? badRowError() : null), []);
+                },
+                newStatement: (sql, cb) => {
+                    log.push('prepare ' + sql);
+                    cb(null, {
+                        type: 4,
+                        output: [],
+                        execute: (tr, params, cb) => {
+                            log.push('execute ' + JSON.stringify(params));
+                            if (params.indexOf('lost') >= 0) {
+                                return cb(new Error('Connection is closed.'));
+                            }
+                            cb(params.indexOf('bad') >= 0 ? badRowError() : null);
+                        },
+                        drop: (cb) => cb(null, log.push('drop'))
+                    });
+                },
+                commitRetaining: (cb) => cb(null, log.push('commitRetaining'))
+            };
+
+            const tr = new Transaction({}, driverTransaction);
+            tr.log = log;
+            return tr;
+        }
+
+        function badRowError() {
+            return Object.assign(new Error('bad row'), {code: 335544665});
+        }
+
+        it('executes prepared statement for every row', function () {
+            const tr = createTransaction();
+
+            return tr.executeBatch('INSERT INTO t (a, b) VALUES (?, ?)', [[1, 'a'], [2, 'bad'], [3, 'c']], {commitRetainingEvery: 2})
+                .then((report) => {
+                    assert.equal(report.total, 3);
+                    assert.equal(report.executed, 2);
+                    assert.equal(report.commits, 1);
+                    assert.deepEqual(report.failed.map((failure) => failure.index), [1]);
+                    assert.equal(report.failed[0].error.message, 'bad row');
+                    assert.deepEqual(tr.log, [
+                        'prepare INSERT INTO t (a, b) VALUES (?, ?)',
+                        'execute [1,"a"]',
+                        'execute [2,"bad"]',
+                        'commitRetaining',
+                        'execute [3,"c"]',
+                        'drop'
+                    ]);
+                });
+        });
+
+        it('stops on connection loss instead of reporting every row', function () {
+            const tr = createTransaction();
+            const rows = [[1, 'a'], [2, 'lost']];
+            for (let i = 3; i <= 10000; i++) {
+                rows.push([i, 'lost']);
+            }
+
+            return tr.executeBatch('INSERT INTO t (a, b) VALUES (?, ?)', rows)
+                .then(() => assert.fail('Ожидалась ошибка'), (e) => {
+                    assert(e instanceof fb.ConnectionLost);
+                    assert.deepEqual(tr.log, [
+                        'prepare INSERT INTO t (a, b) VALUES (?, ?)',
+                        'execute [1,"a"]',
+                        'execute [2,"lost"]',
+                        'drop'
+                    ]);
+                });
+        });
+
+        it('packs rows into EXECUTE BLOCK', function () {
+            const tr = createTransaction();
+            const rows = [{a: 1, b: "it's"}, {a: 2, b: null}, {a: 3, b: 'bad'}, {a: 4, b: 'd'}, {a: 5, b: 'e'}];
+
+            return tr.executeBlockBatch('INSERT INTO t (a, b) VALUES (:a, :b);', rows, {chunkSize: 2, commitRetainingEvery: 4})
+                .then((report) => {
+                    assert.deepEqual(failedIndices(report), {total: 5, executed: 4, failed: [2], commits: 1});
+                    assert.deepEqual(tr.log, [
+                        "EXECUTE BLOCK AS\nBEGIN\nINSERT INTO t (a, b) VALUES (1, 'it''s');\nINSERT INTO t (a, b) VALUES (2, NULL);\nEND",
+                        "EXECUTE BLOCK AS\nBEGIN\nINSERT INTO t (a, b) VALUES (3, 'bad');\nINSERT INTO t (a, b) VALUES (4, 'd');\nEND",
+                        'prepare INSERT INTO t (a, b) VALUES (?, ?)',
+                        'execute [3,"bad"]',
+                        'execute [4,"d"]',
+                        'drop',
+                        'commitRetaining',
+                        "EXECUTE BLOCK AS\nBEGIN\nINSERT INTO t (a, b) VALUES (5, 'e');\nEND"
+                    ]);
+                });
+
+            function failedIndices(report) {
+                return Object.assign({}, report, {failed: report.failed.map((failure) => failure.index)});
+            }
+        });
+
+        it('falls back to row by row execution only for row and size errors', function () {
+            const rows = [{a: 1, b: 'a'}, {a: 2, b: 'b'}];
+            const sizeError = Object.assign(new Error('implementation limit exceeded'), {code: 335544382});
+            const lockError = Object.assign(new Error('lock conflict on no wait transaction'), {code: 335544345});
+            const sizeTransaction = createTransaction(sizeError);
+            const lockTransaction = createTransaction(lockError);
+
+            return sizeTransaction.executeBlockBatch('INSERT INTO t (a, b) VALUES (:a, :b)', rows)
+                .then((report) => {
+                    assert.equal(report.executed, 2);
+                    assert.equal(sizeTransaction.log[1], 'prepare INSERT INTO t (a, b) VALUES (?, ?)');
+                })
+                .then(() => lockTransaction.executeBlockBatch('INSERT INTO t (a, b) VALUES (:a, :b)', rows))
+                .then(() => assert.fail('Ожидалась ошибка'), (e) => {
+                    assert(e instanceof fb.LockTimeout);
+                    assert.equal(lockTransaction.log.length, 1);
+                });
+        });
+
+        it('inlines literals', function () {
+            assert.equal(Params.inline("SELECT '?' FROM t WHERE a = ? AND b = ? -- ?", [1.5, 'a\\b']), "SELECT '?' FROM t WHERE a = 1.5 AND b = 'a\\b' -- ?");
+            assert.equal(Params.formatLiteral(true), '1');
+            assert.equal(Params.formatLiteral(new Date(2020, 0, 2, 3, 4, 5, 6)), "'2020-01-02 03:04:05.006'");
+            assert.throws(() => Params.formatLiteral(NaN), /числовое/);
+            assert.throws(() => Params.formatLiteral({}), /тип значения/);
+            assert.throws(() => Params.inline('SELECT ? FROM t', []), /№1/);
+            assert.throws(() => Params.inline('SELECT 1 FROM t', [1]), /больше параметров/);
+        });
+    });
+
+    describe('fb.errors', function () {
+        const HttpUtils = require('../app/utils/httpUtils');
+
+        function gdsError(code, message) {
+            const error = new Error(message);
+            error.code = code;
+            return error;
+        }
+
+        /**
+         * Соединение с БД-заглушкой: запрос завершается ошибкой error
+         */
+        function createConnection(error) {
+            const connection = fb.createConnection(options.database, options.user, options.password);
+            connection.database = {
+                transaction: (tpb, callback) => {
+                    callback(null, {
+                        query: (sql, params, cb) => cb(error),
+                        commit: (cb) => cb(null),
+                        rollback: (cb) => cb(null)
+                    });
+                }
+            };
+            return connection;
+        }
+
+        it('wraps unique and foreign key violations', function () {
+            const Errors = require('../app/firebird/errors');
+
+            let e = Errors.wrap(gdsError(335544665, 'violation of PRIMARY or UNIQUE KEY constraint "PK_CLIENTS" ' +
+                'on table "CLIENTS", Problematic key value is ("ID" = 1)'), 'INSERT INTO clients');
+            assert(e instanceof fb.UniqueViolation);
+            assert(e instanceof fb.FirebirdError);
+            assert.equal(e.name, 'UniqueViolation');
+            assert.equal(e.code, 335544665);
+            assert.equal(e.constraint, 'PK_CLIENTS');
+            assert.equal(e.table, 'CLIENTS');
+            assert.equal(e.sql, 'INSERT INTO clients');
+
+            e = Errors.wrap(gdsError(335544349,
+                'attempt to store duplicate value (visible to active transactions) in unique index "UQ_CODE"'));
+            assert(e instanceof fb.UniqueViolation);
+            assert.equal(e.constraint, 'UQ_CODE');
+            assert.equal(e.table, null);
+
+            e = Errors.wrap(gdsError(335544466, 'violation of FOREIGN KEY constraint "FK_ORDERS_CLIENT" on table "ORDERS"'));
+            assert(e instanceof fb.ForeignKeyViolation);
+            assert.equal(e.constraint, 'FK_ORDERS_CLIENT');
+            assert.equal(e.table, 'ORDERS');
+        });
+
+        it('wraps check and column validation errors', function () {
+            const Errors = require('../app/firebird/errors');
+
+            let e = Errors.wrap(gdsError(335544558, 'Operation violates CHECK constraint CHK_AMOUNT on view or table ORDERS'));
+            assert(e instanceof fb.CheckConstraintViolation);
+            assert.equal(e.constraint, 'CHK_AMOUNT');
+            assert.equal(e.table, 'ORDERS');
+
+            e = Errors.wrap(gdsError(335544347, 'validation error for column "ORDERS"."AMOUNT", value "*** null ***"'));
+            assert(e instanceof fb.CheckConstraintViolation);
+            assert.equal(e.table, 'ORDERS');
+            assert.equal(e.column, 'AMOUNT');
+        });
+
+        it('wraps lock conflicts', function () {
+            const Errors = require('../app/firebird/errors');
+
+            let e = Errors.wrap(gdsError(335544345, 'lock conflict on no wait transaction, ' +
+                'update conflicts with concurrent update, concurrent transaction number is 12'));
+            assert(e instanceof fb.UpdateConflict);
+            assert(FirebirdUtils.isLockConflict(e));
+
+            e = Errors.wrap(gdsError(335544336, 'deadlock'));
+            assert(e instanceof fb.Deadlock);
+
+            e = Errors.wrap(gdsError(335544510, 'lock time-out on wait transaction'));
+            assert(e instanceof fb.LockTimeout);
+        });
+
+        it('wraps user exceptions', function () {
+            const Errors = require('../app/firebird/errors');
+
+            let e = Errors.wrap(gdsError(335544517,
+                'exception 5, E_NO_MONEY, Недостаточно средств, на счете 0, At procedure \'PAY\' line: 10, col: 5'));
+            assert(e instanceof fb.UserException);
+            assert.equal(e.exceptionName, 'E_NO_MONEY');
+            assert.equal(e.exceptionMessage, 'Недостаточно средств, на счете 0');
+
+            e = Errors.wrap(gdsError(335544517, 'exception 1, "E_Quoted"'));
+            assert.equal(e.exceptionName, 'E_Quoted');
+            assert.equal(e.exceptionMessage, null);
+        });
+
+        it('wraps connection loss and keeps unknown errors', function () {
+            const Errors = require('../app/firebird/errors');
+
+            assert(Errors.wrap(gdsError(335544726, 'Error reading data from the connection.')) instanceof fb.ConnectionLost);
+            assert(Errors.wrap(gdsError('ECONNRESET', 'read ECONNRESET')) instanceof fb.ConnectionLost);
+
+            const unknown = gdsError(335544569, 'Dynamic SQL Error');
+            assert.strictEqual(Errors.wrap(unknown), unknown);
+
+            const wrapped = Errors.wrap(gdsError(335544336, 'deadlock'));
+            assert.strictEqual(Errors.wrap(wrapped), wrapped);
+        });
+
+        it('query rejects with typed error', function () {
+            const connection = createConnection(gdsError(335544466,
+                'violation of FOREIGN KEY constraint "FK_ORDERS_CLIENT" on table "ORDERS"'));
+
+            return connection.onWriteTransaction((tr) => tr.query('DELETE FROM clients WHERE id = ?', [1]))
+                .then(() => assert.fail('Ожидалась ошибка'), (e) => {
+                    assert(e instanceof fb.ForeignKeyViolation);
+                    assert.equal(e.sql, 'DELETE FROM clients WHERE id = ?');
+                });
+        });
+
+        it('respondError maps typed errors to http status', function () {
+            const Errors = require('../app/firebird/errors');
+            const respond = (error) => {
+                const res = {
+                    status: (status) => {
+                        res.statusCode = status;
+                        return res;
+                    },
+                    set: () => res,
+                    json: (body) => {
+                        res.body = body;
+                        return res;
+                    }
+                };
+                HttpUtils.respondError(res, error);
+                return res;
+            };
+
+            let res = respond(Errors.wrap(gdsError(335544665,
+                'violation of PRIMARY or UNIQUE KEY constraint "PK_CLIENTS" on table "CLIENTS"')));
+            assert.equal(res.statusCode, 409);
+            assert.equal(res.body.error, 'Conflict');
+            assert(res.body.message.indexOf('PK_CLIENTS') >= 0);
+
+            res = respond(Errors.wrap(gdsError(335544517, 'exception 5, E_NO_MONEY, Недостаточно средств')));
+            assert.equal(res.statusCode, 422);
+            assert.equal(res.body.message, 'Недостаточно средств');
+
+            res = respond(Errors.wrap(gdsError(335544741, 'connection lost to database')));
+            assert.equal(res.statusCode, 503);
+
+            res = respond(new Error('Ошибка'));
+            assert.equal(res.statusCode, 500);
+        });
+    });
+
+    describe('fb.reconnect', function () {
+        const EventEmitter = require('events');
+        const FBDriver = require('node-firebird-dev');
+
+        /**
+         * Подключение драйвера-заглушки: запросы завершаются ошибкой queryError, если она задана
+         */
+        function createDatabase(queryError) {
+            const db = new EventEmitter();
+            db.detached = false;
+            db.transaction = (tpb, callback) => {
+                callback(null, {
+                    query: (sql, params, cb) => queryError ? cb(queryError) : cb(null, [{val: 1}]),
+                    commit: (cb) => cb(null),
+                    rollback: (cb) => cb(null)
+                });
+            };
+            db.detach = (cb) => {
+                db.detached = true;
+                cb(null);
+            };
+            return db;
+        }
+
+        /**
+         * Подменить подключение драйвера: attach возвращает подключения из списка (ошибка - неудачная попытка)
+         */
+        function stubAttach(results) {
+            const attach = FBDriver.attach;
+            FBDriver.attach = (options, callback) => {
+                const result = results.shift();
+                setImmediate(() => result instanceof Error ? callback(result) : callback(null, result));
+            };
+            return () => {
+                FBDriver.attach = attach;
+            };
+        }
+
+        it('marks connection disconnected on network error', function () {
+            const lost = new Error('Error reading data from the connection.');
+            lost.code = 335544726;
+            const restore = stubAttach([createDatabase(lost)]);
+            const connection = fb.createConnection(options.database, options.user, options.password);
+            const events = [];
+            connection.on('disconnect', (e) => events.push(e));
+
+            return connection.open()
+                .finally(restore)
+                .then(() => {
+                    assert.equal(connection.database.maxtryreconnect, 0);
+                    return connection.queryRead('SELECT 1 AS val FROM rdb$database');
+                })
+                .then(() => assert.fail('Ожидалась ошибка'), (e) => {
+                    assert(e instanceof fb.ConnectionLost);
+                    assert.equal(connection.isConnected(), false);
+                    assert.equal(connection.isBroken(), true);
+                    assert.equal(connection.readTransactionPromise, null);
+                    assert.equal(events.length, 1);
+                    assert.strictEqual(events[0], e);
+                })
+                .then(() => connection.queryWrite('SELECT 1 AS val FROM rdb$database'))
+                .then(() => assert.fail('Ожидалась ошибка'), (e) => assert(e instanceof fb.ConnectionLost))
+                .then(() => connection.close());
+        });
+
+        it('reconnects standalone connection with backoff', function () {
+            const db = createDatabase();
+            const restore = stubAttach([db, new Error('connection refused'), createDatabase()]);
+            const connection = fb.createConnection(options.database, options.user, options.password,
+                {reconnect: {delay: 5, jitter: 0}});
+            const reconnected = new Promise((resolve) => connection.on('reconnect', resolve));
+            connection.on('disconnect', () => {});
+
+            return connection.open()
+                .then(() => {
+                    // Сокет закрыт сервером
+                    db.emit('error', new Error('read ECONNRESET'));
+                    db.emit('destroy', false);
+                    assert.equal(connection.isConnected(), false);
+                    return reconnected;
+                })
+                .finally(restore)
+                .then((event) => {
+                    assert.equal(event.attempt, 2);
+                    assert(event.downtimeMs >= 0);
+                    assert.equal(connection.isConnected(), true);
+                    assert.equal(connection.isBroken(), false);
+                    return connection.queryRead('SELECT 1 AS val FROM rdb$database');
+                })
+                .then((rows) => assert.deepEqual(rows, [{val: 1}]))
+                .then(() => connection.close());
+        });
+
+        it('close stops reconnecting', function () {
+            const db = createDatabase();
+            const restore = stubAttach([db]);
+            const connection = fb.createConnection(options.database, options.user, options.password,
+                {reconnect: {delay: 10, jitter: 0}});
+            connection.on('disconnect', () => {});
+
+            return connection.open()
+                .finally(restore)
+                .then(() => {
+                    db.emit('destroy', false);
+                    assert(connection.reconnectTimer);
+                    return connection.close();
+                })
+                .then(() => {
+                    assert.equal(connection.reconnectTimer, null);
+                    assert.equal(db.detached, false);
+                });
+        });
+    });
+
+    describe('fb.poolHelpers', function () {
+        const Pool = require('../app/firebird/pool');
+
+        /**
+         * Пул соединений-заглушек; закрытые соединения собираются в массив closed
+         */
+        function createPool(poolOptions) {
+            const closed = [];
+            let sequence = 0;
+            const pool = new Pool({
+                create: () => Promise.resolve({
+                    id: ++sequence,
+                    broken: false,
+                    isBroken() {
+                        return this.broken;
+                    },
+                    queryRead: (sql, params) => Promise.resolve([{sql, params}]),
+                    queryWrite: () => Promise.reject(new Error('write failed'))
+                }),
+                destroy: (connection) => {
+                    closed.push(connection.id);
+                    return Promise.resolve();
+                }
+            }, Object.assign({Promise, max: 2, min: 0}, poolOptions));
+            pool.closed = closed;
+            return pool;
+        }
+
+        it('withConnection releases connection after success and error', function () {
+            const pool = createPool();
+
+            return pool.queryRead('SELECT 1 FROM rdb$database', [1])
+                .then((rows) => {
+                    assert.deepEqual(rows, [{sql: 'SELECT 1 FROM rdb$database', params: [1]}]);
+                    assert.equal(pool.borrowed, 0);
+                    assert.equal(pool.available, 1);
+                })
+                .then(() => pool.queryWrite('DELETE FROM t'))
+                .then(() => assert.fail('Ожидалась ошибка'), (e) => {
+                    assert.equal(e.message, 'write failed');
+                    assert.equal(pool.borrowed, 0);
+                    assert.equal(pool.available, 1);
+                })
+                .then(() => pool.withConnection((connection) => {
+                    connection.broken = true;
+                }))
+                .then(() => {
+                    assert.equal(pool.borrowed, 0);
+                    assert.deepEqual(pool.closed, [1]);
+                })
+                .then(() => pool.drain());
+        });
+
+        it('drain waits for borrowed connections and closes all', function () {
+            const pool = createPool();
+            let finished = false;
+
+            const work = pool.withConnection(() => Promise.delay(30).then(() => {
+                finished = true;
+            }));
+
+            return Promise.delay(5)
+                .then(() => pool.drain())
+                .then(() => {
+                    assert.equal(finished, true);
+                    assert.deepEqual(pool.closed, [1]);
+                    assert.equal(pool.size, 0);
+                    return work;
+                })
+                .then(() => pool.acquire())
+                .then(() => assert.fail('Ожидалась ошибка'), (e) => assert(/draining/.test(e.message)));
+        });
+
+        it('drain destroys connections not returned in time', function () {
+            const pool = createPool();
+
+            return pool.acquire()
+                .then(() => pool.drain({timeout: 20}))
+                .then(() => {
+                    assert.equal(pool.borrowed, 0);
+                    assert.deepEqual(pool.closed, [1]);
+                });
+        });
+
+        it('reports connections held longer than threshold', function () {
+            const pool = createPool({leakDetectionThreshold: 10});
+            const leaks = [];
+            pool.on('leak', (leak) => leaks.push(leak));
+
+            return pool.acquire()
+                .then((connection) => Promise.delay(30)
+                    .then(() => {
+                        assert.equal(leaks.length, 1);
+                        assert.strictEqual(leaks[0].connection, connection);
+                        assert(leaks[0].heldMs >= 10);
+                        assert(leaks[0].stack.indexOf('fb.test.js') >= 0);
+                        return pool.release(connection);
+                    }))
+                .then(() => pool.withConnection(() => null))
+                .then(() => Promise.delay(20))
+                .then(() => {
+                    assert.equal(leaks.length, 1);
+                    assert.equal(pool.loans.size, 0);
+                })
+                .then(() => pool.drain());
+        });
+    });
+
+    describe('fb.poolMetrics', function () {
+        const Pool = require('../app/firebird/pool');
+
+        /**
+         * Пул соединений-заглушек; state.invalid - количество проверок соединения, которые не пройдут,
+         * state.version - версия сервера
+         */
+        function createPool(state) {
+            return new Pool({
+                create: () => Promise.resolve({
+                    isBroken: () => false,
+                    metadata: {
+                        getServerVersion: () => state.version instanceof Error ?
+                            Promise.reject(state.version) : Promise.resolve(state.version)
+                    }
+                }),
+                destroy: () => Promise.resolve(),
+                validate: () => Promise.resolve(state.invalid-- <= 0)
+            }, {Promise, max: 1, min: 0, testOnBorrow: true, acquireTimeoutMillis: 50});
+        }
+
+        /**
+         * Заглушка express ответа
+         */
+        function createResponse() {
+            const res = {
+                headers: {},
+                status: (status) => {
+                    res.statusCode = status;
+                    return res;
+                },
+                set: (name, value) => {
+                    res.headers[name] = value;
+                    return res;
+                },
+                json: (body) => {
+                    res.body = body;
+                    return res;
+                },
+                send: (body) => {
+                    res.body = body;
+                    return res;
+                }
+            };
+            return res;
+        }
+
+        it('collects pool stats', function () {
+            const state = {invalid: 0, version: {major: '3', minor: '0', patch: '7'}};
+            const pool = createPool(state);
+
+            return pool.withConnection(() => null)
+                .then(() => {
+                    // Соединение не пройдет проверку - пул заменит его новым
+                    state.invalid = 1;
+                    return pool.withConnection(() => null);
+                })
+                .then(() => {
+                    // Пул занят - запрос соединения отклоняется по истечении времени ожидания
+                    const holding = pool.withConnection(() => Promise.delay(100));
+                    return pool.acquire()
+                        .then(() => assert.fail('Ожидалась ошибка'), (e) => assert(/timed out/.test(e.message)))
+                        .then(() => holding);
+                })
+                .then(() => {
+                    const stats = pool.getStats();
+                    assert.equal(stats.max, 1);
+                    assert(stats.created >= 2);
+                    assert(stats.destroyed >= 1);
+                    assert(stats.validationFailures >= 1);
+                    assert.equal(stats.acquireErrors, 1);
+                    assert(stats.acquireWait.count >= 1);
+                    assert.equal(stats.acquireWait.buckets[stats.acquireWait.buckets.length - 1].le, Infinity);
+
+                    const text = pool.getPrometheusMetrics({labels: {database: 'main'}});
+                    assert(text.indexOf('# TYPE firebird_pool_borrowed gauge\n') >= 0);
+                    assert(text.indexOf(`firebird_pool_created_total{database="main"} ${stats.created}\n`) >= 0);
+                    assert(text.indexOf('firebird_pool_acquire_wait_seconds_bucket{database="main",le="0.001"}') >= 0);
+                    assert(text.indexOf('firebird_pool_acquire_wait_seconds_bucket{database="main",le="+Inf"} ' +
+                        stats.acquireWait.count + '\n') >= 0);
+                })
+                .then(() => pool.drain());
+        });
+
+        it('health check reports server version and errors', function () {
+            const state = {invalid: 0, version: {major: '3', minor: '0', patch: '7'}};
+            const pool = createPool(state);
+            const health = fb.createHealthHandler(pool);
+            const res = createResponse();
+
+            return pool.healthCheck()
+                .then((result) => {
+                    assert.equal(result.status, 'ok');
+                    assert.deepEqual(result.serverVersion, {major: '3', minor: '0', patch: '7'});
+                    assert.equal(result.pool.borrowed, 0);
+
+                    state.version = new Error('connection lost to database');
+                    return pool.healthCheck();
+                })
+                .then((result) => {
+                    assert.equal(result.status, 'error');
+                    assert.equal(result.error, 'connection lost to database');
+
+                    health({}, res);
+                    return Promise.delay(10);
+                })
+                .then(() => {
+                    assert.equal(res.statusCode, 503);
+                    assert.equal(res.body.status, 'error');
+
+                    const metricsRes = createResponse();
+                    fb.createMetricsHandler(pool)({}, metricsRes);
+                    assert.equal(metricsRes.statusCode, 200);
+                    assert(/^text\/plain/.test(metricsRes.headers['Content-Type']));
+                    assert(metricsRes.body.indexOf('firebird_pool_size') >= 0);
+                })
+                .then(() => {
+                    // Сбой самой проверки тоже отвечает 503
+                    const failingRes = createResponse();
+                    fb.createHealthHandler({healthCheck: () => Promise.reject(new Error('pool is draining'))})({}, failingRes);
+                    return Promise.delay(10).then(() => {
+                        assert.equal(failingRes.statusCode, 503);
+                        assert.equal(failingRes.body.message, 'Ошибка проверки БД: pool is draining');
+                    });
+                })
+                .then(() => pool.drain());
+        });
+    });
+
+    describe('fb.migrationLock', function () {
+        it('creates missing lock table and retries when it is created concurrently', function () {
+            const connection = fb.createConnection(options.database, options.user, options.password);
+            const state = {exists: false, queries: []};
+            connection.metadata.tableExists = () => Promise.resolve(state.exists);
+            connection.database = {
+                transaction: (tpb, callback) => {
+                    callback(null, {
+                        query: (sql, params, cb) => {
+                            state.queries.push(sql.trim().split(/\s+/).slice(0, 3).join(' '));
+                            if (/CREATE TABLE/.test(sql)) {
+                                // Таблицу успел создать другой процесс
+                                state.exists = true;
+                                return cb(new Error('unsuccessful metadata update, Table RF_MIGRATION_LOCK already exists'));
+                            }
+                            cb(null, []);
+                        },
+                        commit: (cb) => cb(null),
+                        rollback: (cb) => cb(null)
+                    });
+                }
+            };
+
+            return connection.migration.lock({interval: 5})
+                .then((lock) => {
+                    assert.deepEqual(state.queries, ['CREATE TABLE rf_migration_lock', 'UPDATE OR INSERT']);
+                    return lock.release();
+                });
+        });
+    });
+})();
@@ -0,0 +1,262 @@
+/* jshint expr: true, mocha:true */
+(function () {
+    'use strict';
+
+    const assert = require('assert');
+    const fs = require('fs');
+    const os = require('os');
+    const path = require('path');
+    const Promise = require('bluebird');
+
+    const migrate = require('..').migrate;
+    const Transaction = require('../app/firebird/transaction');
+
+    /**
+     * Соединение-заглушка, хранящее проведенные миграции в памяти
+     */
+    function createConnection(appliedIds) {
+        const applied = (appliedIds || []).map((id) => '|' + id);
+        const checksums = {};
+
+        const connection = {
+            applied,
+            checksums,
+            locks: 0,
+            events: [],
+            migration: {
+                init: (transaction) => Promise.resolve().then(() => connection.events.push(transaction ? 'init on transaction' : 'init')),
+                lock: () => {
+                    connection.locks++;
+                    connection.events.push('lock');
+                    return Promise.resolve({release: () => Promise.resolve().then(() => connection.events.push('release'))});
+                },
+                check: (project, id) => Promise.resolve(applied.indexOf((project || '') + '|' + id) >= 0),
+                log: (tr, project, id, name, date, author, checksum) => {
+                    return tr.query('INSERT INTO rf_migration (project, id) VALUES (?, ?)', [project || '', id])
+                        .then(() => {
+                            applied.push((project || '') + '|' + id);
+                            checksums[(project || '') + '|' + id] = checksum;
+                        });
+                },
+                remove: (tr, project, id) => {
+                    applied.splice(applied.indexOf((project || '') + '|' + id), 1);
+                    return Promise.resolve();
+                },
+                getApplied: (project) => Promise.resolve(applied
+                    .filter((key) => key.split('|')[0] === (project || ''))
+                    .map((key) => ({
+                        project: key.split('|')[0],
+                        id: Number(key.split('|')[1]),
+                        name: 'migration ' + key.split('|')[1],
+                        checksum: checksums[key]
+                    })))
+            },
+            dryRuns: 0,
+            onWriteTransaction: (action, options) => {
+                if (options && options.dryRun) {
+                    connection.dryRuns++;
+                }
+                const driverTransaction = {
+                    query: (sql, params, callback) => callback(null, [])
+                };
+                return Promise.resolve().then(() => action(new Transaction(null, driverTransaction)));
+            }
+        };
+
+        return connection;
+    }
+
+    function createMigration(id, action, project) {
+        return {
+            data: {id, project, name: 'migration ' + id},
+            action: action || (() => Promise.resolve())
+        };
+    }
+
+    describe('migrate', function () {
+        it('runAll applies pending migrations in id order', function () {
+            const connection = createConnection([1]);
+            const order = [];
+            const track = (id) => () => Promise.resolve().then(() => order.push(id));
+
+            const migrations = [
+                createMigration(3, track(3)),
+                createMigration(1, track(1)),
+                createMigration(2, track(2))
+            ];
+
+            return migrate.runAll(connection, migrations)
+                .then((report) => {
+                    assert.deepEqual(order, [2, 3]);
+                    assert.deepEqual(report.applied.map((m) => m.id), [2, 3]);
+                    assert.deepEqual(report.skipped.map((m) => m.id), [1]);
+                    assert.equal(report.failed.length, 0);
+                    assert.equal(connection.locks, 1);
+                });
+        });
+
+        it('runAll stops at the first failure', function () {
+            const connection = createConnection();
+            const error = new Error('failed');
+
+            const migrations = [
+                createMigration(1),
+                createMigration(2, () => Promise.reject(error)),
+                createMigration(3)
+            ];
+
+            return migrate.runAll(connection, migrations)
+                .then((report) => {
+                    assert.deepEqual(report.applied.map((m) => m.id), [1]);
+                    assert.equal(report.failed.length, 1);
+                    assert.equal(report.failed[0].id, 2);
+                    assert.equal(report.failed[0].error, error);
+                    assert.deepEqual(connection.applied, ['|1']);
+                });
+        });
+
+        it('runAll rejects duplicate ids within a project', function () {
+            const connection = createConnection();
+
+            return migrate.runAll(connection, [createMigration(1), createMigration(1)])
+                .then(() => assert.fail('Duplicate ids must be rejected'))
+                .catch((e) => assert(/Повторяющийся/.test(e.message)))
+
+                .then(() => migrate.runAll(connection, [createMigration(1, null, 'a'), createMigration(1, null, 'b')]))
+                .then((report) => assert.equal(report.applied.length, 2));
+        });
+
+        it('runAll uses default project', function () {
+            const connection = createConnection();
+
+            return migrate.runAll(connection, [createMigration(1)], {project: 'test'})
+                .then(() => assert.deepEqual(connection.applied, ['test|1']));
+        });
+
+        it('rollback reverts migrations in descending id order', function () {
+            const connection = createConnection([1, 2, 3]);
+            const order = [];
+            const migrations = [1, 2, 3].map((id) => {
+                const migration = createMigration(id);
+                migration.revert = () => Promise.resolve().then(() => order.push(id));
+                return migration;
+            });
+
+            return migrate.rollback(connection, '', 1, migrations)
+                .then((reverted) => {
+                    assert.deepEqual(order, [3, 2]);
+                    assert.deepEqual(reverted.map((m) => m.id), [3, 2]);
+                    assert.deepEqual(connection.applied, ['|1']);
+                });
+        });
+
+        it('rollback is blocked by migration without revert', function () {
+            const connection = createConnection([1, 2, 3]);
+            const migrations = [createMigration(1), createMigration(2), createMigration(3)];
+            migrations[2].revert = () => Promise.resolve();
+
+            return migrate.rollback(connection, '', 1, migrations)
+                .then(() => assert.fail('Rollback must be blocked'))
+                .catch((e) => {
+                    assert(/revert/.test(e.message));
+                    assert.deepEqual(connection.applied, ['|1', '|2', '|3']);
+                });
+        });
+
+        it('rollback initialises metadata and loads migrations from the default directory', function () {
+            const connection = createConnection([1, 2]);
+            const cwd = process.cwd();
+            const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'migrate-'));
+
+            fs.mkdirSync(path.join(dir, 'migrations'));
+            [1, 2].forEach((id) => {
+                fs.writeFileSync(path.join(dir, 'migrations', `000${id}.js`), 'module.exports = {' +
+                    `data: {id: ${id}, name: 'migration ${id}'}, action: () => Promise.resolve(), revert: () => Promise.resolve()};`);
+            });
+            process.chdir(dir);
+
+            return migrate.rollback(connection, '', 1)
+                .then((reverted) => {
+                    assert.deepEqual(reverted.map((m) => m.id), [2]);
+                    assert.deepEqual(connection.applied, ['|1']);
+                    assert.deepEqual(connection.events, ['lock', 'init', 'release']);
+                })
+                .finally(() => {
+                    process.chdir(cwd);
+                    fs.rmSync(dir, {recursive: true});
+                });
+        });
+
+        it('verify reports changed, missing and pending migrations', function () {
+            const connection = createConnection([1]);
+            const migrations = [2, 3, 4].map((id) => createMigration(id, () => Promise.resolve(id)));
+
+            return migrate.runAll(connection, migrations.slice(0, 2))
+                .then(() => {
+                    assert.equal(connection.checksums['|2'], migrate.checksum(migrations[0]));
+
+                    migrations[1].action = () => Promise.resolve('changed');
+                    return migrate.verify(connection, migrations);
+                })
+                .then((report) => {
+                    assert.deepEqual(report.changed.map((m) => m.id), [3]);
+                    assert.deepEqual(report.missing.map((m) => m.id), [1]);
+                    assert.deepEqual(report.pending.map((m) => m.id), [4]);
+                });
+        });
+
+        it('run initialises migration metadata under the lock', function () {
+            const connection = createConnection();
+
+            return migrate.run(connection, createMigration(1))
+                .then((applied) => {
+                    assert.equal(applied, true);
+                    assert.deepEqual(connection.events, ['lock', 'init', 'release']);
+
+                    connection.events.length = 0;
+                    return migrate.runAll(connection, [createMigration(2)], {lock: false});
+                })
+                .then(() => assert.deepEqual(connection.events, ['init']));
+        });
+
+        it('runAll in dry run mode collects scripts and does not apply migrations', function () {
+            const connection = createConnection([1]);
+            const transactions = [];
+            const migrations = [1, 2, 3].map((id) => createMigration(id, (connection, tr) => {
+                transactions.push(tr);
+                return tr.query(`CREATE TABLE t${id} (id INTEGER)`);
+            }));
+
+            return migrate.runAll(connection, migrations, {dryRun: true})
+                .then((report) => {
+                    assert.deepEqual(report.applied.map((m) => m.id), [2, 3]);
+                    assert.deepEqual(report.skipped.map((m) => m.id), [1]);
+                    assert.equal(report.applied[0].script, 'CREATE TABLE t2 (id INTEGER);\n\n' +
+                        '-- params: ["",2]\nINSERT INTO rf_migration (project, id) VALUES (?, ?);');
+                    assert.equal(report.applied[1].script, 'CREATE TABLE t3 (id INTEGER);\n\n' +
+                        '-- params: ["",3]\nINSERT INTO rf_migration (project, id) VALUES (?, ?);');
+                    assert(report.script.indexOf('-- Миграция 3 "migration 3"\nCREATE TABLE t3 (id INTEGER);') >= 0);
+
+                    // Без блокировки, метаданные и все миграции - на одной откатываемой транзакции
+                    assert.equal(connection.dryRuns, 1);
+                    assert.equal(connection.locks, 0);
+                    assert.deepEqual(connection.events, ['init on transaction']);
+                    assert.equal(transactions.length, 2);
+                    assert.equal(transactions[0], transactions[1]);
+                });
+        });
+
+        it('run in dry run mode returns executed script', function () {
+            const connection = createConnection();
+            const migration = createMigration(1, (connection, tr) => tr.query('CREATE TABLE test_table (id INTEGER)'));
+
+            return migrate.run(connection, migration, {dryRun: true})
+                .then((script) => {
+                    assert.equal(script, 'CREATE TABLE test_table (id INTEGER);\n\n' +
+                        '-- params: ["",1]\nINSERT INTO rf_migration (project, id) VALUES (?, ?);');
+                    assert.equal(connection.dryRuns, 1);
+                    assert.deepEqual(connection.events, ['init on transaction']);
+                });
+        });
+    });
+})();
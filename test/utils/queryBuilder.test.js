@@ -0,0 +1,126 @@
+/* jshint expr: true, mocha:true */
+(function () {
+    'use strict';
+
+    var assert = require('assert');
+
+    var qb = require('../../app/utils/queryBuilder');
+
+    describe('queryBuilder', function () {
+        it('quoteIdentifier', function () {
+            assert.strictEqual(qb.quoteIdentifier('client'), 'client');
+            assert.strictEqual(qb.quoteIdentifier('c.name'), 'c.name');
+            assert.strictEqual(qb.quoteIdentifier('value'), '"VALUE"');
+            assert.strictEqual(qb.quoteIdentifier('c.date'), 'c."DATE"');
+            assert.strictEqual(qb.quoteIdentifier('Mixed Name'), '"Mixed Name"');
+            assert.strictEqual(qb.quoteIdentifier('a"b'), '"a""b"');
+            assert.strictEqual(qb.quoteIdentifier('c.*'), 'c.*');
+        });
+
+        it('select', function () {
+            var query = qb.select('c.id', 'c.name AS client_name', qb.raw('COUNT(o.id) AS cnt'))
+                .from('client c')
+                .leftJoin('orders', 'o', 'o.client_id = c.id AND o.state = ?', [2])
+                .where({'c.active': 1, 'c.deleted': null, 'c.type': ['a', 'b']})
+                .where('c.amount > ?', [10])
+                .groupBy('c.id', 'c.name')
+                .having('COUNT(o.id) > ?', [1])
+                .orderBy('c.name', 'desc')
+                .paginate({size: 10, skip: 20})
+                .build();
+
+            assert.strictEqual(query.sql,
+                'SELECT c.id, c.name AS client_name, COUNT(o.id) AS cnt FROM client c' +
+                ' LEFT JOIN orders o ON o.client_id = c.id AND o.state = ?' +
+                ' WHERE (c.active = ?) AND (c.deleted IS NULL) AND (c.type IN (?, ?)) AND (c.amount > ?)' +
+                ' GROUP BY c.id, c.name HAVING COUNT(o.id) > ? ORDER BY c.name DESC ROWS 21 TO 30');
+            assert.deepStrictEqual(query.params, [2, 1, 'a', 'b', 10, 1]);
+        });
+
+        it('select first/skip', function () {
+            var query = qb.select().from('client').first(5).skip(10).where({'name LIKE': 'A%', 'id <>': null}).build();
+
+            assert.strictEqual(query.sql, 'SELECT FIRST 5 SKIP 10 * FROM client WHERE (name LIKE ?) AND (id IS NOT NULL)');
+            assert.deepStrictEqual(query.params, ['A%']);
+
+            assert.throws(() => qb.select().from('client').first(-1), /Неверное количество строк/);
+            assert.throws(() => qb.select().build(), /Не указана таблица/);
+            assert.throws(() => qb.select().from('client').where({'id; DROP': 1}), /Неверное условие/);
+        });
+
+        it('accepts only identifiers or raw expressions as columns', function () {
+            var query = qb.select('id', qb.raw('UPPER(name) AS uname'))
+                .from('client')
+                .groupBy('id', qb.raw('UPPER(name)'))
+                .orderBy(qb.raw('UPPER(name)'), 'desc')
+                .build();
+
+            assert.strictEqual(query.sql, 'SELECT id, UPPER(name) AS uname FROM client GROUP BY id, UPPER(name) ORDER BY UPPER(name) DESC');
+            assert.throws(() => qb.select().from('client').orderBy('id; DROP TABLE client'), /Неверное поле/);
+            assert.throws(() => qb.select().from('client').orderBy('name AS n'), /Неверное поле/);
+            assert.throws(() => qb.select().from('client').groupBy('1 = 1'), /Неверное поле/);
+            assert.throws(() => qb.select('COUNT(*)').from('client').build(), /Неверное поле/);
+            assert.throws(() => qb.deleteFrom('client').returning('id, (SELECT 1 FROM rdb$database)').build(), /Неверное поле/);
+        });
+
+        it('select subquery', function () {
+            var query = qb.select('id')
+                .from('client')
+                .where({id: qb.select('client_id').from('orders').where({state: 1}), 'type NOT IN': []})
+                .build();
+
+            assert.strictEqual(query.sql,
+                'SELECT id FROM client WHERE (id IN (SELECT client_id FROM orders WHERE state = ?)) AND (1 = 1)');
+            assert.deepStrictEqual(query.params, [1]);
+        });
+
+        it('insert', function () {
+            var query = qb.insert('client', {name: 'a', value: 1, created: qb.raw('CURRENT_TIMESTAMP')})
+                .returning('id')
+                .build();
+
+            assert.strictEqual(query.sql,
+                'INSERT INTO client (name, "VALUE", created) VALUES (?, ?, CURRENT_TIMESTAMP) RETURNING id');
+            assert.deepStrictEqual(query.params, ['a', 1]);
+            assert.throws(() => qb.insert('client', {}).build(), /Не указаны значения/);
+        });
+
+        it('updateOrInsert', function () {
+            var query = qb.updateOrInsert('client', {id: 1, name: undefined})
+                .matching('id')
+                .returning('id', 'name')
+                .build();
+
+            assert.strictEqual(query.sql,
+                'UPDATE OR INSERT INTO client (id, name) VALUES (?, ?) MATCHING (id) RETURNING id, name');
+            assert.deepStrictEqual(query.params, [1, null]);
+        });
+
+        it('update/delete', function () {
+            var query = qb.update('client', {name: 'b', amount: qb.raw('amount + ?', [5])}).where({id: 1}).build();
+            assert.strictEqual(query.sql, 'UPDATE client SET name = ?, amount = amount + ? WHERE id = ?');
+            assert.deepStrictEqual(query.params, ['b', 5, 1]);
+
+            query = qb.deleteFrom('client').where({'id >=': 100}).returning('id').build();
+            assert.strictEqual(query.sql, 'DELETE FROM client WHERE id >= ? RETURNING id');
+            assert.deepStrictEqual(query.params, [100]);
+        });
+
+        it('merge', function () {
+            var query = qb.merge('client', 'c')
+                .using({id: 1, name: 'a'}, 's')
+                .on('c.id = s.id')
+                .whenMatchedThenUpdate({name: qb.raw('s.name')})
+                .whenNotMatchedThenInsert({id: qb.raw('s.id'), name: qb.raw('s.name'), state: 0})
+                .build();
+
+            assert.strictEqual(query.sql,
+                'MERGE INTO client c USING (SELECT ? AS id, ? AS name FROM rdb$database) s ON c.id = s.id' +
+                ' WHEN MATCHED THEN UPDATE SET name = s.name' +
+                ' WHEN NOT MATCHED THEN INSERT (id, name, state) VALUES (s.id, s.name, ?)');
+            assert.deepStrictEqual(query.params, [1, 'a', 0]);
+
+            assert.throws(() => qb.merge('client').build(), /MERGE/);
+        });
+    });
+})();